@@ -1,7 +1,8 @@
 /**
  * SPOKIO BACKEND - COMPLETE ALL-IN-ONE SERVER
  * Full Node.js Express Application with JSON Data Storage
- * NO DATABASE REQUIRED - Uses In-Memory JSON Storage
+ * NO DATABASE REQUIRED - Uses JSON Files by default, or embedded SQLite
+ * with STORAGE_DRIVER=sqlite
  */
 
 const express = require('express');
@@ -11,10 +12,18 @@ const morgan = require('morgan');
 const bcryptjs = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
 const socketIO = require('socket.io');
 const dotenv = require('dotenv');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const os = require('os');
+const { spawn } = require('child_process');
+const AdmZip = require('adm-zip');
 
 // Load environment variables
 dotenv.config();
@@ -36,6 +45,12 @@ const io = socketIO(server, {
 // MIDDLEWARE
 // ============================================
 
+// Behind a reverse proxy, set TRUST_PROXY so req.ip (used for rate
+// limits and session metadata) is the client's address
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
 app.use(helmet());
 app.use(morgan('combined'));
 app.use(cors({
@@ -46,7 +61,7 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ limit: '10mb', extended: true }));
 
 // ============================================
-// JSON DATA STORAGE
+// DATA STORAGE
 // ============================================
 
 const DATA_DIR = path.join(__dirname, 'data');
@@ -63,9 +78,25 @@ const FILES = {
     groups: path.join(DATA_DIR, 'groups.json'),
     messages: path.join(DATA_DIR, 'messages.json'),
     emergency: path.join(DATA_DIR, 'emergency.json'),
-    directMessages: path.join(DATA_DIR, 'direct-messages.json')
+    directMessages: path.join(DATA_DIR, 'direct-messages.json'),
+    sessions: path.join(DATA_DIR, 'sessions.json'),
+    accountTokens: path.join(DATA_DIR, 'account-tokens.json'),
+    suggestionStats: path.join(DATA_DIR, 'suggestion-stats.json'),
+    boards: path.join(DATA_DIR, 'boards.json'),
+    phraseRatings: path.join(DATA_DIR, 'phrase-ratings.json'),
+    phraseReports: path.join(DATA_DIR, 'phrase-reports.json'),
+    phraseEvents: path.join(DATA_DIR, 'phrase-events.json'),
+    customVoices: path.join(DATA_DIR, 'custom-voices.json'),
+    alertShares: path.join(DATA_DIR, 'alert-shares.json'),
+    safeZones: path.join(DATA_DIR, 'safe-zones.json'),
+    checkIns: path.join(DATA_DIR, 'check-ins.json'),
+    moderationLog: path.join(DATA_DIR, 'moderation-log.json')
 };
 
+// Storage driver: 'json' (default) or 'sqlite'
+const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || 'json').toLowerCase();
+const SQLITE_PATH = process.env.SQLITE_PATH || path.join(DATA_DIR, 'spokio.db');
+
 // Initialize data files
 function initializeDataFiles() {
     const defaultData = {
@@ -74,73 +105,920 @@ function initializeDataFiles() {
         groups: [],
         messages: [],
         emergency: [],
-        directMessages: []
+        directMessages: [],
+        sessions: [],
+        accountTokens: [],
+        suggestionStats: [],
+        boards: [],
+        phraseRatings: [],
+        phraseReports: [],
+        phraseEvents: [],
+        customVoices: [],
+        alertShares: [],
+        safeZones: [],
+        checkIns: [],
+        moderationLog: []
     };
 
+    // Leftovers from a write that crashed before its rename
+    fs.readdirSync(DATA_DIR)
+        .filter(file => file.endsWith('.tmp'))
+        .forEach(file => fs.unlinkSync(path.join(DATA_DIR, file)));
+
     Object.entries(FILES).forEach(([key, filePath]) => {
         if (!fs.existsSync(filePath)) {
-            fs.writeFileSync(filePath, JSON.stringify(defaultData[key], null, 2));
+            writeData(filePath, defaultData[key]);
+        } else {
+            // Throws DataCorruptionError so the server refuses to start on bad data
+            readData(filePath);
         }
     });
     console.log('✓ Data files initialized');
 }
 
-initializeDataFiles();
-
 // ============================================
 // DATA FUNCTIONS
 // ============================================
 
+// Raised when a data file exists but cannot be parsed. The file is left
+// untouched so it can be inspected and restored by hand.
+class DataCorruptionError extends Error {
+    constructor(filePath, reason) {
+        super(`Data file ${path.basename(filePath)} is corrupt (${reason}); refusing to read or overwrite it`);
+        this.name = 'DataCorruptionError';
+        this.filePath = filePath;
+        this.status = 503;
+    }
+}
+
 function readData(filePath) {
+    let raw;
     try {
-        const data = fs.readFileSync(filePath, 'utf8');
-        return JSON.parse(data);
+        raw = fs.readFileSync(filePath, 'utf8');
     } catch (error) {
+        if (error.code === 'ENOENT') return [];
         console.error(`Error reading ${filePath}:`, error.message);
-        return [];
+        throw error;
     }
+
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch (error) {
+        console.error(`Error reading ${filePath}:`, error.message);
+        throw new DataCorruptionError(filePath, error.message);
+    }
+
+    if (!Array.isArray(data)) {
+        throw new DataCorruptionError(filePath, 'expected a JSON array');
+    }
+    return data;
 }
 
+// Write to a temp file in the same directory, fsync, then rename over the
+// target. A crash mid-write leaves the previous file intact.
 function writeData(filePath, data) {
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
     try {
-        fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+        const fd = fs.openSync(tmpPath, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify(data, null, 2));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmpPath, filePath);
         return true;
     } catch (error) {
         console.error(`Error writing ${filePath}:`, error.message);
-        return false;
+        fs.rmSync(tmpPath, { force: true });
+        throw error;
+    }
+}
+
+// Turn a `where` argument into a predicate. Plain objects match on
+// top-level field equality so drivers can push them down to an index.
+function toPredicate(where) {
+    if (!where) return () => true;
+    if (typeof where === 'function') return where;
+    const entries = Object.entries(where);
+    return record => entries.every(([key, value]) => record[key] === value);
+}
+
+// Apply an update to a record. Objects are shallow-merged; functions
+// receive a copy of the record and return the new version.
+function applyUpdate(record, updater) {
+    if (typeof updater === 'function') {
+        return updater(JSON.parse(JSON.stringify(record))) || record;
+    }
+    return { ...record, ...updater };
+}
+
+// Normalize a record to what the JSON file would give back (Dates -> strings)
+function toStored(record) {
+    return JSON.parse(JSON.stringify(record));
+}
+
+/**
+ * Collection interface shared by every storage driver:
+ *   all(), find(where), findById(id), filter(where), count(where),
+ *   insert(record), insertMany(records), update(id, updater), remove(id),
+ *   removeWhere(where)
+ * `where` is either a predicate function or an object of field values.
+ */
+
+// JSON file collection - one file per collection, rewritten on every change.
+// The parsed records stay in memory: only this process writes the files,
+// so its own writes are all that can change them. Reads hand out copies,
+// so callers may modify what they get back.
+class JsonCollection {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.records = null;
+    }
+
+    load() {
+        if (!this.records) this.records = readData(this.filePath);
+        return this.records;
+    }
+
+    // Write first, so a failed write leaves the cached records as they were
+    save(records) {
+        writeData(this.filePath, records);
+        this.records = records;
+    }
+
+    all() {
+        return this.load().map(toStored);
+    }
+
+    find(where) {
+        const record = this.load().find(toPredicate(where));
+        return record ? toStored(record) : null;
+    }
+
+    findById(id) {
+        return this.find({ id });
+    }
+
+    filter(where) {
+        return this.load().filter(toPredicate(where)).map(toStored);
+    }
+
+    count(where) {
+        return where ? this.load().filter(toPredicate(where)).length : this.load().length;
+    }
+
+    insert(record) {
+        return this.insertMany([record])[0];
+    }
+
+    // All records land in one write, or none do
+    insertMany(newRecords) {
+        const stored = newRecords.map(toStored);
+        this.save([...this.load(), ...stored]);
+        return stored.map(toStored);
+    }
+
+    update(id, updater) {
+        const records = [...this.load()];
+        const index = records.findIndex(r => r.id === id);
+        if (index === -1) return null;
+
+        records[index] = toStored(applyUpdate(records[index], updater));
+        this.save(records);
+        return toStored(records[index]);
+    }
+
+    remove(id) {
+        return this.removeWhere({ id }) > 0;
+    }
+
+    removeWhere(where) {
+        const predicate = toPredicate(where);
+        const records = this.load();
+        const kept = records.filter(r => !predicate(r));
+        if (kept.length !== records.length) {
+            this.save(kept);
+        }
+        return records.length - kept.length;
+    }
+}
+
+// SQLite collection - one table per collection, one JSON document per row
+// SQL for `record[key] === value` on a top-level field, or null when the
+// key or value cannot be expressed safely (nested keys, objects, dates)
+function sqliteCondition(key, value) {
+    if (!/^[A-Za-z0-9_]+$/.test(key)) return null;
+
+    const path = `'$.${key}'`;
+    if (value === undefined) return { key, clause: `json_type(data, ${path}) IS NULL`, params: [] };
+    if (value === null) return { key, clause: `json_type(data, ${path}) = 'null'`, params: [] };
+    if (typeof value === 'boolean') return { key, clause: `json_type(data, ${path}) = '${value}'`, params: [] };
+    if (typeof value === 'string') return { key, clause: `json_extract(data, ${path}) = ?`, params: [value] };
+    // json_extract gives booleans back as 1 and 0, so check the type too
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return { key, clause: `(json_type(data, ${path}) IN ('integer', 'real') AND json_extract(data, ${path}) = ?)`, params: [value] };
+    }
+    return null;
+}
+
+class SqliteCollection {
+    constructor(db, table) {
+        this.db = db;
+        this.table = table;
+
+        db.exec(`CREATE TABLE IF NOT EXISTS "${table}" (
+            id TEXT PRIMARY KEY,
+            data TEXT NOT NULL,
+            seq INTEGER NOT NULL
+        )`);
+        db.exec(`CREATE INDEX IF NOT EXISTS "${table}_seq" ON "${table}" (seq)`);
+
+        this.statements = {
+            all: db.prepare(`SELECT data FROM "${table}" ORDER BY seq`),
+            get: db.prepare(`SELECT data FROM "${table}" WHERE id = ?`),
+            nextSeq: db.prepare(`SELECT COALESCE(MAX(seq), 0) + 1 AS seq FROM "${table}"`),
+            insert: db.prepare(`INSERT INTO "${table}" (id, data, seq) VALUES (?, ?, ?)`),
+            update: db.prepare(`UPDATE "${table}" SET data = ? WHERE id = ?`),
+            remove: db.prepare(`DELETE FROM "${table}" WHERE id = ?`)
+        };
+    }
+
+    // Object `where` clauses become json_extract lookups; functions, and
+    // objects SQL cannot match exactly like toPredicate, scan
+    select(where) {
+        const conditions = where && typeof where === 'object'
+            ? Object.entries(where).map(([key, value]) => sqliteCondition(key, value))
+            : [];
+
+        if (!where || typeof where === 'function' || conditions.includes(null)) {
+            const rows = this.statements.all.all().map(row => JSON.parse(row.data));
+            return where ? rows.filter(toPredicate(where)) : rows;
+        }
+
+        if (conditions.length === 1 && conditions[0].key === 'id' && typeof where.id === 'string') {
+            const row = this.statements.get.get(where.id);
+            return row ? [JSON.parse(row.data)] : [];
+        }
+
+        return this.db
+            .prepare(`SELECT data FROM "${this.table}" WHERE ${conditions.map(c => c.clause).join(' AND ')} ORDER BY seq`)
+            .all(...conditions.flatMap(c => c.params))
+            .map(row => JSON.parse(row.data));
+    }
+
+    all() {
+        return this.select();
+    }
+
+    find(where) {
+        return this.select(where)[0] || null;
+    }
+
+    findById(id) {
+        return this.find({ id });
+    }
+
+    filter(where) {
+        return this.select(where);
+    }
+
+    count(where) {
+        if (!where) {
+            return this.db.prepare(`SELECT COUNT(*) AS total FROM "${this.table}"`).get().total;
+        }
+        return this.select(where).length;
+    }
+
+    insert(record) {
+        const stored = toStored(record);
+        const { seq } = this.statements.nextSeq.get();
+        this.statements.insert.run(stored.id, JSON.stringify(stored), seq);
+        return stored;
+    }
+
+    insertMany(records) {
+        return this.db.transaction(() => records.map(record => this.insert(record)))();
+    }
+
+    update(id, updater) {
+        const current = this.findById(id);
+        if (!current) return null;
+
+        const updated = toStored(applyUpdate(current, updater));
+        this.statements.update.run(JSON.stringify(updated), id);
+        return updated;
+    }
+
+    remove(id) {
+        return this.statements.remove.run(id).changes > 0;
+    }
+
+    removeWhere(where) {
+        const matches = this.select(where);
+        matches.forEach(record => this.statements.remove.run(record.id));
+        return matches.length;
+    }
+}
+
+/**
+ * Repository - what routes talk to. Reads go straight to the driver;
+ * writes are queued per collection so a read-modify-write that awaits
+ * in the middle (password hashing, for example) cannot interleave with
+ * another write and lose it. All write methods return promises.
+ */
+class Repository {
+    constructor(name, store) {
+        this.name = name;
+        this.store = store;
+        this.queue = Promise.resolve();
+        this.listeners = [];
+        this.writer = this.createWriter();
+    }
+
+    // listener(event, record) runs after every committed write, with event
+    // 'insert', 'update' or 'remove'. Used to keep derived indexes in step.
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify(event, record) {
+        if (!record) return;
+        this.listeners.forEach(listener => {
+            try {
+                listener(event, record);
+            } catch (error) {
+                console.error(`Listener on ${this.name} failed:`, error.message);
+            }
+        });
+    }
+
+    // The driver, with writes reporting to subscribers
+    createWriter() {
+        const store = this.store;
+        const writer = Object.create(store);
+
+        writer.insert = record => {
+            const stored = store.insert(record);
+            this.notify('insert', stored);
+            return stored;
+        };
+        writer.insertMany = records => {
+            const stored = store.insertMany(records);
+            stored.forEach(record => this.notify('insert', record));
+            return stored;
+        };
+        writer.update = (id, updater) => {
+            const updated = store.update(id, updater);
+            this.notify('update', updated);
+            return updated;
+        };
+        writer.remove = id => writer.removeWhere({ id }) > 0;
+        writer.removeWhere = where => {
+            const removed = store.filter(where);
+            const count = store.removeWhere(where);
+            removed.forEach(record => this.notify('remove', record));
+            return count;
+        };
+        return writer;
+    }
+
+    all() {
+        return this.store.all();
+    }
+
+    find(where) {
+        return this.store.find(where);
+    }
+
+    findById(id) {
+        return this.store.findById(id);
+    }
+
+    filter(where) {
+        return this.store.filter(where);
+    }
+
+    count(where) {
+        return this.store.count(where);
+    }
+
+    // Run fn once every earlier write on this collection has settled
+    withLock(fn) {
+        const run = this.queue.then(() => fn());
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    insert(record) {
+        return this.withLock(() => this.writer.insert(record));
+    }
+
+    // Read-modify-write of one record. A function updater may be async.
+    update(id, updater) {
+        return this.withLock(async () => {
+            const current = this.store.findById(id);
+            if (!current) return null;
+
+            const next = typeof updater === 'function'
+                ? (await updater(JSON.parse(JSON.stringify(current)))) || current
+                : { ...current, ...updater };
+            return this.writer.update(id, () => next);
+        });
     }
+
+    remove(id) {
+        return this.withLock(() => this.writer.remove(id));
+    }
+
+    removeWhere(where) {
+        return this.withLock(() => this.writer.removeWhere(where));
+    }
+
+    // Hold the collection lock across several steps, e.g. check-then-insert.
+    // fn receives the driver so its calls do not queue behind the lock.
+    transaction(fn) {
+        return this.withLock(() => fn(this.writer));
+    }
+}
+
+function createJsonStorage() {
+    initializeDataFiles();
+
+    const storage = {};
+    Object.entries(FILES).forEach(([name, filePath]) => {
+        storage[name] = new Repository(name, new JsonCollection(filePath));
+    });
+    return storage;
+}
+
+function createSqliteStorage() {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('STORAGE_DRIVER=sqlite requires the "better-sqlite3" package (npm install better-sqlite3)');
+    }
+
+    const db = new Database(SQLITE_PATH);
+    db.pragma('journal_mode = WAL');
+
+    const storage = {};
+    Object.entries(FILES).forEach(([name, filePath]) => {
+        const collection = new SqliteCollection(db, name);
+
+        // First run against an existing data/ directory: import the JSON file
+        if (collection.count() === 0 && fs.existsSync(filePath)) {
+            const records = readData(filePath);
+            db.transaction(() => records.forEach(record => collection.insert(record)))();
+            if (records.length > 0) {
+                console.log(`✓ Imported ${records.length} ${name} records into SQLite`);
+            }
+        }
+
+        storage[name] = new Repository(name, collection);
+    });
+
+    console.log(`✓ SQLite storage opened at ${SQLITE_PATH}`);
+    return storage;
+}
+
+function createStorage(driver) {
+    switch (driver) {
+        case 'json':
+            return createJsonStorage();
+        case 'sqlite':
+            return createSqliteStorage();
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "json" or "sqlite")`);
+    }
+}
+
+const db = createStorage(STORAGE_DRIVER);
+
+// ============================================
+// SCHEMA VERSIONING & MIGRATIONS
+// ============================================
+
+const SCHEMA_FILE = path.join(DATA_DIR, 'schema.json');
+const BACKUP_DIR = path.join(DATA_DIR, 'backups');
+
+// Current shape of a user record, minus identity and credentials
+function defaultUserFields() {
+    return {
+        profile: {
+            name: '',
+            location: '',
+            bio: '',
+            avatar: '',
+            preferredLanguage: 'en-US'
+        },
+        accessibility: {
+            fontSize: 16,
+            highContrast: false,
+            screenReaderEnabled: false
+        },
+        settings: {
+            autoSave: false,
+            vibrationFeedback: true
+        },
+        voicePreferences: {
+            preferredVoice: '',
+            speechRate: 1,
+            pitch: 1
+        },
+        savedPhrases: [],
+        communityGroups: [],
+        emergencyContacts: [],
+        emergencySettings: defaultEmergencySettings(),
+        lastLocation: null,
+        emailVerified: false,
+        emailVerifiedAt: null,
+        failedLoginAttempts: 0,
+        lockedUntil: null,
+        lastLogin: null,
+        isActive: true
+    };
+}
+
+// Who besides emergency contacts receives a user's alerts, and whether
+// they answer alerts raised near them
+function defaultEmergencySettings() {
+    return {
+        trustedGroupIds: [],
+        // Whether opted-in strangers near the alert are asked to help
+        alertNearbyResponders: true,
+        // Whether escalation widens the circle to every group you are in
+        escalateToAllGroups: false,
+        nearbyResponder: {
+            enabled: false,
+            latitude: null,
+            longitude: null,
+            radiusKm: 2
+        }
+    };
+}
+
+// Current shape of a phrase record, minus owner and text
+function defaultPhraseFields() {
+    return {
+        language: 'en-US',
+        category: 'custom',
+        priority: 0,
+        usageCount: 0,
+        lastUsed: null,
+        tags: [],
+        isPublic: false,
+        publishedAt: null,
+        copiedFrom: null,
+        copyCount: 0,
+        ratingAverage: 0,
+        ratingCount: 0,
+        reportCount: 0
+    };
+}
+
+/**
+ * Ordered list of migrations. Each entry upgrades the data from
+ * `version - 1` to `version`; `up` maps a collection name to a function
+ * that receives one record and returns the upgraded record.
+ * Append new entries - never edit or reorder ones that have shipped.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Backfill default fields on users and phrases',
+        up: {
+            // Defaults as they were when this shipped; fields added to
+            // defaultUserFields() since are backfilled by their own migration
+            users: user => {
+                const defaults = {
+                    profile: { name: '', location: '', bio: '', avatar: '', preferredLanguage: 'en-US' },
+                    accessibility: { fontSize: 16, highContrast: false, screenReaderEnabled: false },
+                    settings: { autoSave: false, vibrationFeedback: true },
+                    voicePreferences: { preferredVoice: '', speechRate: 1, pitch: 1 },
+                    savedPhrases: [],
+                    communityGroups: [],
+                    emergencyContacts: [],
+                    lastLogin: null,
+                    isActive: true
+                };
+                return {
+                    ...defaults,
+                    ...user,
+                    profile: { ...defaults.profile, name: user.username, ...user.profile },
+                    accessibility: { ...defaults.accessibility, ...user.accessibility },
+                    settings: { ...defaults.settings, ...user.settings },
+                    voicePreferences: { ...defaults.voicePreferences, ...user.voicePreferences }
+                };
+            },
+            phrases: phrase => ({
+                category: 'custom',
+                priority: 0,
+                usageCount: 0,
+                lastUsed: null,
+                tags: [],
+                isPublic: false,
+                ...phrase
+            })
+        }
+    },
+    {
+        version: 2,
+        description: 'Add email verification state to users',
+        up: {
+            // Accounts from before verification existed were never sent a
+            // link, so they keep their access to community features
+            users: user => ({
+                emailVerified: true,
+                emailVerifiedAt: null,
+                ...user
+            })
+        }
+    },
+    {
+        version: 3,
+        description: 'Add failed login tracking to users',
+        up: {
+            users: user => ({
+                failedLoginAttempts: 0,
+                lockedUntil: null,
+                ...user
+            })
+        }
+    },
+    {
+        version: 4,
+        description: 'Add public library fields to phrases',
+        up: {
+            phrases: phrase => ({
+                publishedAt: phrase.isPublic ? phrase.createdAt : null,
+                copiedFrom: null,
+                copyCount: 0,
+                ratingAverage: 0,
+                ratingCount: 0,
+                reportCount: 0,
+                ...phrase
+            })
+        }
+    },
+    {
+        version: 5,
+        description: 'Clear placeholder voice ids (e.g. "en-US-1") from voice preferences',
+        up: {
+            users: user => {
+                const preferredVoice = user.voicePreferences && user.voicePreferences.preferredVoice;
+                if (!/^[a-z]{2}-[A-Z]{2}-\d+$/.test(preferredVoice || '')) return user;
+                return { ...user, voicePreferences: { ...user.voicePreferences, preferredVoice: '' } };
+            }
+        }
+    },
+    {
+        version: 6,
+        description: 'Add per-contact notification deliveries to emergency alerts',
+        up: {
+            emergency: alert => ({
+                notifications: [],
+                ...alert
+            })
+        }
+    },
+    {
+        version: 7,
+        description: 'Add responder workflow, escalation and timeline to emergency alerts',
+        up: {
+            emergency: alert => ({
+                circle: [],
+                escalationLevel: 0,
+                nextEscalationAt: null,
+                acknowledgedAt: null,
+                timeline: [],
+                ...alert,
+                notes: Array.isArray(alert.notes)
+                    ? alert.notes
+                    : (alert.notes ? [{ id: generateId(), userId: alert.userId, text: alert.notes, createdAt: alert.createdAt }] : [])
+            })
+        }
+    },
+    {
+        version: 8,
+        description: 'Add emergency broadcast settings to users',
+        up: {
+            users: user => ({
+                emergencySettings: {
+                    trustedGroupIds: [],
+                    nearbyResponder: { enabled: false, latitude: null, longitude: null, radiusKm: 2 }
+                },
+                ...user
+            })
+        }
+    },
+    {
+        version: 9,
+        description: 'Add location tracks to emergency alerts',
+        up: {
+            emergency: alert => {
+                const { latitude, longitude, accuracy } = alert.location || {};
+                return {
+                    track: typeof latitude === 'number' && typeof longitude === 'number'
+                        ? [{ latitude, longitude, accuracy: accuracy === undefined ? null : accuracy, at: alert.createdAt }]
+                        : [],
+                    ...alert
+                };
+            }
+        }
+    },
+    {
+        version: 10,
+        description: 'Add alert triggers and last known device location',
+        up: {
+            emergency: alert => ({
+                trigger: { type: 'manual' },
+                ...alert
+            }),
+            users: user => ({
+                lastLocation: null,
+                ...user
+            })
+        }
+    },
+    {
+        version: 11,
+        description: 'Add group bans and mutes; the creator is always a moderator',
+        up: {
+            groups: group => ({
+                bans: [],
+                mutes: [],
+                ...group,
+                moderators: [...new Set([group.creator, ...(group.moderators || [])])]
+            })
+        }
+    },
+    {
+        version: 12,
+        description: 'Add alert circle choices to emergency settings',
+        up: {
+            users: user => ({
+                ...user,
+                emergencySettings: { alertNearbyResponders: true, escalateToAllGroups: false, ...user.emergencySettings }
+            })
+        }
+    },
+    {
+        version: 13,
+        description: 'Linked emergency contacts must accept before they get pushes or alert access',
+        up: {
+            users: user => ({
+                ...user,
+                emergencyContacts: (user.emergencyContacts || []).map(contact => ({
+                    status: contact.userId ? 'pending' : null,
+                    ...contact
+                }))
+            })
+        }
+    },
+    {
+        version: 14,
+        description: 'Add invites to groups',
+        up: {
+            groups: group => ({
+                invites: [],
+                ...group
+            })
+        }
+    }
+];
+
+const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function readSchemaManifest() {
+    if (!fs.existsSync(SCHEMA_FILE)) {
+        return { version: 0, migrations: [] };
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+    } catch (error) {
+        throw new DataCorruptionError(SCHEMA_FILE, error.message);
+    }
+}
+
+// Copy every collection to data/backups/<timestamp>-<label>/<name>.json
+function backupCollections(label) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(BACKUP_DIR, `${stamp}-${label}`);
+    fs.mkdirSync(backupPath, { recursive: true });
+
+    Object.entries(db).forEach(([name, repository]) => {
+        writeData(path.join(backupPath, `${name}.json`), repository.all());
+    });
+    return backupPath;
+}
+
+// Apply pending migrations in order. Runs before the server accepts
+// requests, so it works on the drivers directly rather than the queues.
+function runMigrations({ dryRun = false } = {}) {
+    const manifest = readSchemaManifest();
+    const from = manifest.version;
+
+    if (manifest.version > LATEST_SCHEMA_VERSION) {
+        throw new Error(`Data schema is v${manifest.version} but this server only knows up to v${LATEST_SCHEMA_VERSION}; refusing to start`);
+    }
+
+    const pending = MIGRATIONS.filter(m => m.version > manifest.version);
+    if (dryRun) return { from, pending };
+
+    pending.forEach(migration => {
+        // Nothing to back up on a fresh data directory
+        const hasData = Object.values(db).some(repository => repository.count() > 0);
+        const backupPath = hasData ? backupCollections(`v${manifest.version}-to-v${migration.version}`) : null;
+        let changed = 0;
+
+        Object.entries(migration.up).forEach(([name, upgrade]) => {
+            const store = db[name].store;
+            store.all().forEach(record => {
+                const upgraded = upgrade(JSON.parse(JSON.stringify(record)));
+                if (JSON.stringify(upgraded) !== JSON.stringify(record)) {
+                    store.update(record.id, () => upgraded);
+                    changed += 1;
+                }
+            });
+        });
+
+        manifest.version = migration.version;
+        manifest.migrations = [
+            ...(manifest.migrations || []),
+            {
+                version: migration.version,
+                description: migration.description,
+                appliedAt: new Date(),
+                backup: backupPath ? path.relative(DATA_DIR, backupPath) : null
+            }
+        ];
+        writeData(SCHEMA_FILE, manifest);
+
+        console.log(`✓ Migrated data to v${migration.version}: ${migration.description} (${changed} records updated)`);
+    });
+
+    return { from, pending };
 }
 
 // ============================================
 // UTILITIES & HELPERS
 // ============================================
 
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Verify an access token and load its session and user. Shared by
+// authMiddleware and the Socket.IO handshake; returns { error } on failure.
+function authenticateAccessToken(token) {
+    if (!token) {
+        return { error: 'No authentication token provided' };
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        return { error: error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid token' };
+    }
+
+    // Every access token is tied to a session that can be revoked
+    const session = decoded.sessionId ? db.sessions.findById(decoded.sessionId) : null;
+
+    if (!isSessionActive(session) || session.userId !== decoded.userId) {
+        return { error: 'Session has been revoked or expired' };
+    }
+
+    // Find user in storage
+    const user = db.users.findById(decoded.userId);
+
+    if (!user) {
+        return { error: 'User not found' };
+    }
+
+    return { user, session };
+}
+
 // Authentication Middleware
 const authMiddleware = (req, res, next) => {
     try {
         const token = req.headers.authorization?.split(' ')[1];
-        
-        if (!token) {
-            return res.status(401).json({
-                success: false,
-                message: 'No authentication token provided'
-            });
-        }
-        
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        
-        // Find user in JSON
-        const users = readData(FILES.users);
-        const user = users.find(u => u.id === decoded.userId);
-        
-        if (!user) {
+        const { user, session, error } = authenticateAccessToken(token);
+
+        if (error) {
             return res.status(401).json({
                 success: false,
-                message: 'User not found'
+                message: error
             });
         }
         
         req.user = user;
+        req.session = session;
         next();
     } catch (error) {
         return res.status(401).json({
@@ -150,196 +1028,7593 @@ const authMiddleware = (req, res, next) => {
     }
 };
 
-// Generate unique ID
-function generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+// ============================================
+// SESSIONS & TOKENS
+// ============================================
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
 }
 
-// Prediction Engine
-class PredictionEngine {
-    constructor() {
-        this.commonPhrases = {
-            'hello': ['How are you?', 'Nice to meet you', 'What is your name?', 'How can I help?'],
-            'thank': ['You are welcome', 'No problem', 'Happy to help', 'Anytime'],
-            'help': ['What do you need?', 'I can help you', 'How can I assist?', 'Tell me more'],
-            'good': ['I am fine', 'Things are going well', 'Everything is great', 'I am happy'],
-            'sorry': ['No worries', 'It is okay', 'No problem', 'Do not worry about it'],
-            'yes': ['I agree', 'That sounds good', 'I like that idea', 'Let us do it'],
-            'no': ['I do not agree', 'Not right now', 'Maybe later', 'I prefer not to'],
-            'how': ['I am doing well', 'Everything is great', 'Could be better', 'Excellent'],
-            'what': ['Tell me more', 'I understand', 'Can you explain?', 'I need clarification'],
-            'where': ['Over there', 'Not sure', 'Can you point?', 'Let me check']
-        };
+function isSessionActive(session) {
+    return Boolean(session) && !session.revokedAt && new Date(session.expiresAt) > new Date();
+}
+
+// Device metadata shown in the sessions list
+function getDeviceInfo(req) {
+    const device = req.body?.device || {};
+    return {
+        name: typeof device.name === 'string' ? device.name.slice(0, 100) : '',
+        platform: typeof device.platform === 'string' ? device.platform.slice(0, 50) : '',
+        userAgent: req.get('user-agent') || '',
+        ip: req.ip
+    };
+}
+
+function signAccessToken(userId, sessionId) {
+    return jwt.sign({ userId, sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+// Refresh tokens are opaque "<sessionId>.<secret>" strings; only a hash
+// of the secret is stored, and it changes on every refresh.
+function newRefreshSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function tokenResponse(accessToken, refreshToken) {
+    return {
+        token: accessToken,
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL
+    };
+}
+
+async function createSession(user, req) {
+    const now = new Date();
+
+    // Drop this user's sessions that have run past their expiry
+    await db.sessions.removeWhere(s => s.userId === user.id && new Date(s.expiresAt) <= now);
+
+    const secret = newRefreshSecret();
+    const session = {
+        id: generateId(),
+        userId: user.id,
+        refreshTokenHash: hashToken(secret),
+        previousTokenHash: null,
+        device: getDeviceInfo(req),
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+        revokedAt: null
+    };
+
+    await db.sessions.insert(session);
+    return tokenResponse(signAccessToken(user.id, session.id), `${session.id}.${secret}`);
+}
+
+async function revokeSession(sessionId, reason) {
+    return db.sessions.update(sessionId, s => {
+        if (!s.revokedAt) {
+            s.revokedAt = new Date();
+            s.revokedReason = reason;
+        }
+        return s;
+    });
+}
+
+async function revokeUserSessions(userId, reason) {
+    const sessions = db.sessions.filter({ userId }).filter(isSessionActive);
+    for (const session of sessions) {
+        await revokeSession(session.id, reason);
+    }
+    return sessions.length;
+}
+
+function sessionResponse(session, currentSessionId) {
+    return {
+        id: session.id,
+        device: session.device,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session.id === currentSessionId
+    };
+}
+
+// Generate unique ID
+function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+// Prediction Engine
+const PREDICTION_ORDER = 3;
+const PREDICTION_HALF_LIFE_MS = (parseInt(process.env.PREDICTION_HALF_LIFE_DAYS, 10) || 14) * DAY_MS;
+const PREDICTION_CACHE_SIZE = parseInt(process.env.PREDICTION_CACHE_SIZE, 10) || 500;
+const PREDICTION_HISTORY_LIMIT = 2000;
+const BACKOFF_FACTOR = 0.4;
+const SENTENCE_START = '<s>';
+const DEFAULT_LANGUAGE = 'en-US';
+const SEED_PACKS_DIR = process.env.SEED_PACKS_DIR || path.join(__dirname, 'seed-packs');
+
+/**
+ * Seed packs are JSON files in SEED_PACKS_DIR, one per language:
+ *   { language, name, spaceDelimited, commonPhrases: { trigger: [...] },
+ *     suggestionSets: { greeting: [...], ... } }
+ * Drop in a new file to add a language; no code change needed.
+ */
+function loadSeedPacks(dir) {
+    const packs = new Map();
+    if (!fs.existsSync(dir)) return packs;
+
+    fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+            try {
+                const pack = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+                if (!pack.language) throw new Error('missing "language"');
+
+                packs.set(pack.language, {
+                    language: pack.language,
+                    name: pack.name || pack.language,
+                    spaceDelimited: pack.spaceDelimited !== false,
+                    commonPhrases: pack.commonPhrases || {},
+                    suggestionSets: pack.suggestionSets || {}
+                });
+            } catch (error) {
+                console.error(`Error loading seed pack ${file}:`, error.message);
+            }
+        });
+
+    console.log(`✓ Loaded ${packs.size} prediction seed packs`);
+    return packs;
+}
+
+const seedPacks = loadSeedPacks(SEED_PACKS_DIR);
+
+const EMPTY_SEED_PACK = { language: DEFAULT_LANGUAGE, name: '', spaceDelimited: true, commonPhrases: {}, suggestionSets: {} };
+
+// Exact match, then any pack for the same base language (es-MX -> es-ES),
+// then the default language
+function resolveSeedPack(language) {
+    if (seedPacks.has(language)) return seedPacks.get(language);
+
+    const base = (language || '').split('-')[0].toLowerCase();
+    for (const pack of seedPacks.values()) {
+        if (pack.language.split('-')[0].toLowerCase() === base) return pack;
+    }
+    return seedPacks.get(DEFAULT_LANGUAGE) || EMPTY_SEED_PACK;
+}
+
+function isSpaceDelimited(language) {
+    return resolveSeedPack(language).spaceDelimited;
+}
+
+// Intl.Segmenter finds word boundaries in scripts written without spaces
+// (Chinese, Japanese, Thai). Without it, those scripts fall back to one
+// token per character.
+const segmenters = new Map();
+
+function getSegmenter(language) {
+    if (typeof Intl.Segmenter !== 'function') return null;
+    if (!segmenters.has(language)) {
+        let segmenter;
+        try {
+            segmenter = new Intl.Segmenter(language, { granularity: 'word' });
+        } catch (error) {
+            segmenter = new Intl.Segmenter(undefined, { granularity: 'word' });
+        }
+        segmenters.set(language, segmenter);
+    }
+    return segmenters.get(language);
+}
+
+function tokenize(text, language = DEFAULT_LANGUAGE) {
+    const lower = (text || '').toLowerCase();
+    const segmenter = getSegmenter(language);
+
+    if (segmenter) {
+        return [...segmenter.segment(lower)]
+            .filter(part => part.isWordLike)
+            .map(part => part.segment);
+    }
+    return lower.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]|[\p{L}\p{N}\p{M}']+/gu) || [];
+}
+
+/**
+ * Word n-gram model. Every (context, next word) pair keeps a score that
+ * decays with a half-life, so recent and frequent words both rank high.
+ * Contexts are the 0..order-1 words before the next one.
+ */
+class NgramModel {
+    constructor(order = PREDICTION_ORDER, halfLifeMs = Infinity) {
+        this.order = order;
+        this.halfLifeMs = halfLifeMs;
+        this.contexts = new Map();
+    }
+
+    decay(score, elapsedMs) {
+        return score * Math.pow(0.5, Math.max(elapsedMs, 0) / this.halfLifeMs);
+    }
+
+    observe(context, word, weight, at) {
+        if (!this.contexts.has(context)) {
+            this.contexts.set(context, new Map());
+        }
+        const next = this.contexts.get(context);
+        const entry = next.get(word);
+
+        if (!entry) {
+            next.set(word, { score: weight, lastSeen: at });
+            return;
+        }
+
+        // Bring both sides to the later timestamp before adding
+        const latest = Math.max(entry.lastSeen, at);
+        entry.score = this.decay(entry.score, latest - entry.lastSeen) + this.decay(weight, latest - at);
+        entry.lastSeen = latest;
+    }
+
+    train(tokens, weight = 1, at = Date.now()) {
+        const padded = [SENTENCE_START, ...tokens];
+        for (let i = 1; i < padded.length; i++) {
+            for (let k = 0; k < this.order && i - k >= 0; k++) {
+                this.observe(padded.slice(i - k, i).join(' '), padded[i], weight, at);
+            }
+        }
+    }
+
+    // Scores for words that can follow `contextTokens` and start with
+    // `prefix`. Longer contexts win; shorter ones are discounted (backoff).
+    candidates(contextTokens, prefix = '', now = Date.now()) {
+        const scores = new Map();
+        const padded = [SENTENCE_START, ...contextTokens];
+        let discount = 1;
+
+        for (let k = Math.min(this.order - 1, padded.length); k >= 0; k--) {
+            const next = this.contexts.get(padded.slice(padded.length - k).join(' '));
+
+            if (next) {
+                let total = 0;
+                const matches = [];
+                next.forEach((entry, word) => {
+                    const score = this.decay(entry.score, now - entry.lastSeen);
+                    total += score;
+                    if (word.startsWith(prefix)) matches.push([word, score]);
+                });
+
+                matches.forEach(([word, score]) => {
+                    const weighted = total > 0 ? discount * score / total : 0;
+                    scores.set(word, Math.max(scores.get(word) || 0, weighted));
+                });
+            }
+            discount *= BACKOFF_FACTOR;
+        }
+        return scores;
+    }
+}
+
+/**
+ * Per-user, per-language models are built lazily from stored phrases and
+ * sent messages (via `loadHistory(userId, language)`), kept in a small
+ * LRU cache, and updated in place by learn() as new phrases, phrase uses
+ * and messages come in.
+ */
+class PredictionEngine {
+    constructor(loadHistory) {
+        this.loadHistory = loadHistory;
+        this.models = new Map();
+        this.seedModels = new Map();
+    }
+
+    // Shared vocabulary for users with little history of their own
+    getSeedModel(language) {
+        const pack = resolveSeedPack(language);
+        if (!this.seedModels.has(pack.language)) {
+            const model = new NgramModel();
+            [...Object.values(pack.commonPhrases), ...Object.values(pack.suggestionSets)]
+                .flat()
+                .forEach(text => model.train(tokenize(text, pack.language)));
+            this.seedModels.set(pack.language, model);
+        }
+        return this.seedModels.get(pack.language);
+    }
+
+    getModel(userId, language) {
+        const key = `${userId}|${language}`;
+        let model = this.models.get(key);
+
+        if (model) {
+            // Refresh LRU position
+            this.models.delete(key);
+        } else {
+            model = new NgramModel(PREDICTION_ORDER, PREDICTION_HALF_LIFE_MS);
+            this.loadHistory(userId, language)
+                .forEach(item => model.train(tokenize(item.text, language), item.weight, item.at));
+        }
+
+        this.models.set(key, model);
+        if (this.models.size > PREDICTION_CACHE_SIZE) {
+            this.models.delete(this.models.keys().next().value);
+        }
+        return model;
+    }
+
+    // Feed new text into a cached model. Uncached models pick it up from
+    // storage when they are next built.
+    learn(userId, text, language = DEFAULT_LANGUAGE, weight = 1) {
+        const model = this.models.get(`${userId}|${language}`);
+        if (model) {
+            model.train(tokenize(text, language), weight, Date.now());
+        }
+    }
+
+    // Drop a user's cached models, e.g. after a phrase is deleted
+    invalidate(userId) {
+        [...this.models.keys()]
+            .filter(key => key.startsWith(`${userId}|`))
+            .forEach(key => this.models.delete(key));
     }
 
-    predict(text, userPhrases = []) {
-        const words = text.toLowerCase().split(' ');
-        const lastWord = words[words.length - 1];
+    phraseScore(phrase, now) {
+        const lastUsed = new Date(phrase.lastUsed || phrase.createdAt).getTime();
+        return (1 + (phrase.usageCount || 0)) * Math.pow(0.5, Math.max(now - lastUsed, 0) / PREDICTION_HALF_LIFE_MS);
+    }
+
+    // Merge user and seed scores for words after `context` starting with `prefix`
+    scoreCandidates(userId, language, context, prefix, now) {
+        const scores = this.getModel(userId, language).candidates(context, prefix, now);
+        this.getSeedModel(language).candidates(context, prefix, now).forEach((score, word) => {
+            scores.set(word, (scores.get(word) || 0) + score * 0.25);
+        });
+        return scores;
+    }
+
+    predict(userId, text, userPhrases = [], language = DEFAULT_LANGUAGE) {
+        const now = Date.now();
+        const tokens = tokenize(text, language);
+        const spaced = isSpaceDelimited(language);
+        let scores;
+        let stem;
+        let prefix = '';
+
+        if (spaced) {
+            // A word still being typed is completed rather than followed
+            const partial = /[\p{L}\p{N}\p{M}']$/u.test(text);
+            prefix = partial ? tokens.pop() || '' : '';
+            scores = this.scoreCandidates(userId, language, tokens, prefix, now);
+            stem = partial ? text.slice(0, text.length - prefix.length) : text.replace(/\s*$/, ' ');
+        } else {
+            // No spaces to tell a finished word from a partial one: offer
+            // both the next word and longer words starting with the last one
+            // (punctuation-only text has no last word to extend)
+            const last = tokens[tokens.length - 1] || '';
+            scores = this.scoreCandidates(userId, language, tokens, '', now);
+            if (last) {
+                this.scoreCandidates(userId, language, tokens.slice(0, -1), last, now).forEach((score, word) => {
+                    if (word !== last) scores.set(`${word}\u0000`, score);
+                });
+            }
+            stem = text;
+        }
+
+        const nextWords = [...scores.entries()]
+            .filter(([word]) => word !== prefix)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 5)
+            .map(([key, score]) => {
+                // Keys ending in \u0000 replace the last token instead of following it
+                const replaces = key.endsWith('\u0000');
+                const word = replaces ? key.slice(0, -1) : key;
+                const base = replaces ? stem.slice(0, stem.length - tokens[tokens.length - 1].length) : stem;
+                return {
+                    word,
+                    score: Math.round(score * 1000) / 1000,
+                    completion: `${base}${word}`
+                };
+            });
+
+        // Saved phrases that start with what has been typed so far
+        const separator = spaced ? ' ' : '';
+        const typed = [...tokens, prefix].filter(Boolean).join(separator);
+        const rankedPhrases = [...userPhrases].sort((a, b) => this.phraseScore(b, now) - this.phraseScore(a, now));
+        const completions = rankedPhrases
+            .filter(p => {
+                const normalized = tokenize(p.text, language).join(separator);
+                return normalized.startsWith(typed) && normalized !== typed;
+            })
+            .map(p => p.text);
+
+        const lastWord = prefix || tokens[tokens.length - 1] || '';
         let suggestions = [];
+        if (lastWord) {
+            for (const [key, values] of Object.entries(resolveSeedPack(language).commonPhrases)) {
+                if (lastWord.includes(key) || key.includes(lastWord)) {
+                    suggestions = [...suggestions, ...values];
+                }
+            }
+        }
+
+        const predictions = [
+            ...completions,
+            ...suggestions,
+            ...rankedPhrases.slice(0, 3).map(p => p.text)
+        ];
+
+        return {
+            predictions: [...new Set(predictions)].slice(0, 5),
+            nextWords
+        };
+    }
+}
+
+// Language a user writes in unless a request says otherwise
+function userLanguage(user) {
+    return (user && user.profile && user.profile.preferredLanguage) || DEFAULT_LANGUAGE;
+}
+
+// Training data for one user in one language: saved phrases weighted by
+// use, plus recent messages they sent. Group messages take the group's
+// language; direct messages the user's preferred language.
+function predictionHistory(userId, language) {
+    const phrases = db.phrases
+        .filter({ userId })
+        .filter(p => (p.language || DEFAULT_LANGUAGE) === language)
+        .map(p => ({
+            text: p.text,
+            weight: 1 + (p.usageCount || 0),
+            at: new Date(p.lastUsed || p.createdAt).getTime()
+        }));
+
+    const groupLanguages = new Map();
+    const groupMessages = db.messages.filter({ userId }).filter(m => {
+        if (!groupLanguages.has(m.groupId)) {
+            const group = db.groups.findById(m.groupId);
+            groupLanguages.set(m.groupId, group ? group.language : null);
+        }
+        return groupLanguages.get(m.groupId) === language;
+    });
+
+    const directMessages = userLanguage(db.users.findById(userId)) === language
+        ? db.directMessages.filter({ sender: userId })
+        : [];
+
+    const sent = [...groupMessages, ...directMessages]
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, PREDICTION_HISTORY_LIMIT)
+        .map(m => ({ text: m.content, weight: 1, at: new Date(m.createdAt).getTime() }));
+
+    return [...phrases, ...sent];
+}
+
+const predictionEngine = new PredictionEngine(predictionHistory);
+
+// ============================================
+// CONTEXTUAL SUGGESTIONS
+// ============================================
 
-        for (const [key, values] of Object.entries(this.commonPhrases)) {
-            if (lastWord.includes(key) || key.includes(lastWord)) {
-                suggestions = [...suggestions, ...values];
-            }
-        }
-
-        userPhrases.slice(0, 3).forEach(phrase => {
-            if (!suggestions.includes(phrase.text)) {
-                suggestions.push(phrase.text);
-            }
-        });
-
-        return [...new Set(suggestions)].slice(0, 5);
-    }
-}
-
-const predictionEngine = new PredictionEngine();
-
-// Voices Database
-const voicesDatabase = {
-    'en-US': [
-        { id: 'en-US-1', name: 'Google US English', lang: 'en-US' },
-        { id: 'en-US-2', name: 'Google US English - Female', lang: 'en-US' },
-        { id: 'en-US-3', name: 'Google US English - Male', lang: 'en-US' }
-    ],
-    'es-ES': [
-        { id: 'es-ES-1', name: 'Google Spanish', lang: 'es-ES' }
-    ],
-    'fr-FR': [
-        { id: 'fr-FR-1', name: 'Google French', lang: 'fr-FR' }
-    ],
-    'de-DE': [
-        { id: 'de-DE-1', name: 'Google German', lang: 'de-DE' }
-    ],
-    'hi-IN': [
-        { id: 'hi-IN-1', name: 'Google Hindi', lang: 'hi-IN' }
-    ],
-    'zh-CN': [
-        { id: 'zh-CN-1', name: 'Google Chinese', lang: 'zh-CN' }
-    ],
-    'ja-JP': [
-        { id: 'ja-JP-1', name: 'Google Japanese', lang: 'ja-JP' }
-    ],
-    'ar-SA': [
-        { id: 'ar-SA-1', name: 'Google Arabic', lang: 'ar-SA' }
-    ],
-    'pt-BR': [
-        { id: 'pt-BR-1', name: 'Google Portuguese', lang: 'pt-BR' }
-    ]
+// How much a pick in a matching context counts, per feature type
+const CONTEXT_FEATURE_WEIGHTS = {
+    time: 1,
+    day: 0.5,
+    daytype: 0.5,
+    location: 1.5,
+    partner: 2,
+    reply: 1
 };
 
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+function timeOfDay(hour) {
+    if (hour >= 5 && hour < 12) return 'morning';
+    if (hour >= 12 && hour < 17) return 'afternoon';
+    if (hour >= 17 && hour < 22) return 'evening';
+    return 'night';
+}
+
+// Latest message someone else sent to this user in the DM or group.
+// Group context is only read for members.
+function lastReceivedMessage(userId, { groupId, partnerId }) {
+    let received = [];
+    if (partnerId) {
+        received = db.directMessages.filter({ sender: partnerId, recipient: userId });
+    } else if (groupId) {
+        const group = db.groups.findById(groupId);
+        if (group && group.members.includes(userId)) {
+            received = db.messages.filter({ groupId }).filter(m => m.userId !== userId);
+        }
+    }
+
+    const latest = received.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+    return latest ? latest.content : '';
+}
+
+/**
+ * What the user last heard through speech-to-text, per user. Kept in
+ * memory only and for STT_CONTEXT_MS, so transcripts of conversations
+ * never reach disk.
+ */
+const STT_CONTEXT_MS = (parseInt(process.env.STT_CONTEXT_MINUTES, 10) || 5) * 60 * 1000;
+const heardSpeech = new Map();
+
+function rememberHeardSpeech(userId, { text, groupId, partnerId }) {
+    heardSpeech.set(userId, {
+        text,
+        groupId: groupId || null,
+        partnerId: partnerId || null,
+        at: Date.now()
+    });
+}
+
+// Recent transcript heard in the same conversation (the same DM partner
+// or group, or neither), or ''
+function recentHeardSpeech(userId, { groupId, partnerId }) {
+    const heard = heardSpeech.get(userId);
+    if (!heard) return '';
+    if (Date.now() - heard.at > STT_CONTEXT_MS) {
+        heardSpeech.delete(userId);
+        return '';
+    }
+    if (heard.groupId !== (groupId || null) || heard.partnerId !== (partnerId || null)) return '';
+    return heard.text;
+}
+
+/**
+ * Turn the request's context into feature strings such as "time:morning",
+ * "location:doctor" or "partner:user:<id>". Times use the client's
+ * timezoneOffset (minutes, as from Date#getTimezoneOffset) when given.
+ */
+function buildSuggestionContext(userId, input = {}, language = DEFAULT_LANGUAGE) {
+    const { location, groupId, partnerId, timezoneOffset } = input;
+
+    const local = timezoneOffset === undefined
+        ? new Date()
+        : new Date(Date.now() - timezoneOffset * 60 * 1000);
+    const hour = timezoneOffset === undefined ? local.getHours() : local.getUTCHours();
+    const day = timezoneOffset === undefined ? local.getDay() : local.getUTCDay();
+
+    const resolved = {
+        timeOfDay: timeOfDay(hour),
+        dayOfWeek: DAY_NAMES[day],
+        location: location ? location.trim().toLowerCase() : null,
+        groupId: groupId || null,
+        partnerId: partnerId || null,
+        lastMessage: input.lastMessage !== undefined
+            ? input.lastMessage
+            : recentHeardSpeech(userId, { groupId, partnerId }) || lastReceivedMessage(userId, { groupId, partnerId })
+    };
+
+    const features = [
+        `time:${resolved.timeOfDay}`,
+        `day:${resolved.dayOfWeek}`,
+        `daytype:${day === 0 || day === 6 ? 'weekend' : 'weekday'}`
+    ];
+    if (resolved.location) features.push(`location:${resolved.location}`);
+    if (partnerId) features.push(`partner:user:${partnerId}`);
+    else if (groupId) features.push(`partner:group:${groupId}`);
+
+    if (resolved.lastMessage) {
+        if (/\?\s*$/.test(resolved.lastMessage)) features.push('reply:question');
+        [...new Set(tokenize(resolved.lastMessage, language))]
+            .slice(0, 5)
+            .forEach(word => features.push(`reply:word:${word}`));
+    }
+
+    return { features, resolved };
+}
+
+function suggestionStatId(userId, text) {
+    return `${userId}:${hashToken(text.trim().toLowerCase()).slice(0, 24)}`;
+}
+
+// Remember that `text` was picked in this context
+async function recordSuggestionPick(userId, text, phraseId, features, language) {
+    const id = suggestionStatId(userId, text);
+    const now = new Date();
+
+    return db.suggestionStats.transaction(stats => {
+        if (!stats.findById(id)) {
+            return stats.insert({
+                id,
+                userId,
+                text,
+                phraseId: phraseId || null,
+                language,
+                total: 1,
+                features: Object.fromEntries(features.map(f => [f, 1])),
+                lastPicked: now,
+                createdAt: now
+            });
+        }
+
+        return stats.update(id, s => {
+            s.total += 1;
+            features.forEach(f => {
+                s.features[f] = (s.features[f] || 0) + 1;
+            });
+            s.lastPicked = now;
+            if (phraseId) s.phraseId = phraseId;
+            return s;
+        });
+    });
+}
+
+/**
+ * Score every candidate in the language (starter sets from its seed
+ * pack, saved phrases, past picks):
+ *   prior   - how often it is used/picked, fading with time
+ *   context - share of its past picks made in a matching context
+ *   boost   - requested `context` set, yes/no answers to a question
+ */
+function rankSuggestions(userId, { features, category, language = DEFAULT_LANGUAGE }, limit = 8) {
+    const now = Date.now();
+    const candidates = new Map();
+
+    const candidate = (text, phraseId = null) => {
+        const key = text.trim().toLowerCase();
+        if (!candidates.has(key)) {
+            candidates.set(key, { text, phraseId, usageCount: 0, stats: null, boost: 0 });
+        }
+        const entry = candidates.get(key);
+        if (phraseId && !entry.phraseId) entry.phraseId = phraseId;
+        return entry;
+    };
+
+    const isQuestion = features.includes('reply:question');
+    Object.entries(resolveSeedPack(language).suggestionSets).forEach(([set, texts]) => {
+        texts.forEach(text => {
+            const entry = candidate(text);
+            if (set === category) entry.boost = Math.max(entry.boost, 1);
+            if (!category && set === 'greeting') entry.boost = Math.max(entry.boost, 0.2);
+            if (isQuestion && (set === 'affirmation' || set === 'negation')) entry.boost = Math.max(entry.boost, 0.5);
+        });
+    });
+
+    db.phrases
+        .filter({ userId })
+        .filter(p => (p.language || DEFAULT_LANGUAGE) === language)
+        .forEach(p => {
+            candidate(p.text, p.id).usageCount = p.usageCount || 0;
+        });
+
+    db.suggestionStats
+        .filter({ userId })
+        .filter(s => (s.language || DEFAULT_LANGUAGE) === language)
+        .forEach(s => {
+            candidate(s.text, s.phraseId).stats = s;
+        });
+
+    const ranked = [...candidates.values()].map(entry => {
+        let prior = 0.5 * Math.log1p(entry.usageCount);
+        let context = 0;
+        const reasons = [];
+
+        if (entry.stats) {
+            const { total, features: counts, lastPicked } = entry.stats;
+            const recency = Math.pow(0.5, (now - new Date(lastPicked).getTime()) / PREDICTION_HALF_LIFE_MS);
+            prior += Math.log1p(total) * recency;
+
+            // Few picks are weak evidence
+            const confidence = Math.min(1, total / 3);
+            features.forEach(feature => {
+                const count = counts[feature] || 0;
+                if (count === 0) return;
+                context += CONTEXT_FEATURE_WEIGHTS[feature.split(':')[0]] * (count / total) * confidence;
+                reasons.push(feature);
+            });
+        }
+
+        return {
+            text: entry.text,
+            phraseId: entry.phraseId,
+            score: Math.round((prior + 2 * context + entry.boost) * 1000) / 1000,
+            reasons
+        };
+    });
+
+    return ranked
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
 // ============================================
-// ROUTES - HEALTH & INFO
+// ACCOUNT TOKENS (EMAIL VERIFICATION & PASSWORD RESET)
 // ============================================
 
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'OK', 
-        timestamp: new Date(),
-        uptime: process.uptime(),
-        version: '1.0.0'
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+
+// Single-use tokens mailed to the user, stored hashed like refresh tokens.
+// Issuing a new token of a type invalidates the user's older ones.
+async function createAccountToken(userId, type, ttlMs) {
+    const now = new Date();
+    await db.accountTokens.removeWhere(t =>
+        t.userId === userId && (t.type === type || new Date(t.expiresAt) <= now)
+    );
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    const record = {
+        id: generateId(),
+        userId,
+        type,
+        tokenHash: hashToken(secret),
+        expiresAt: new Date(now.getTime() + ttlMs),
+        usedAt: null,
+        createdAt: now
+    };
+
+    await db.accountTokens.insert(record);
+    return `${record.id}.${secret}`;
+}
+
+// Mark a token used and return its record, or null if it is unknown,
+// expired, already used or of a different type
+async function consumeAccountToken(token, type) {
+    if (typeof token !== 'string') return null;
+
+    const [id, secret = ''] = token.split('.');
+    let valid = false;
+
+    const record = await db.accountTokens.update(id, t => {
+        if (t.type === type && !t.usedAt && new Date(t.expiresAt) > new Date() &&
+            t.tokenHash === hashToken(secret)) {
+            valid = true;
+            t.usedAt = new Date();
+        }
+        return t;
     });
-});
 
-app.get('/api/info', (req, res) => {
-    res.json({
-        success: true,
-        app: 'Spokio Backend',
-        version: '1.0.0',
-        storage: 'JSON Files',
-        endpoints: {
-            auth: ['/api/users/register', '/api/users/login'],
-            user: ['/api/users/profile'],
-            phrases: ['/api/phrases'],
-            predictions: ['/api/predictions/predict', '/api/predictions/suggest'],
-            community: ['/api/community/groups', '/api/community/stats'],
-            emergency: ['/api/emergency/alert'],
-            voices: ['/api/voices'],
-            messages: ['/api/messages/send']
+    return valid ? record : null;
+}
+
+// ============================================
+// MAILER
+// ============================================
+
+/**
+ * Mail transports implement send({ to, subject, text }) and return a
+ * promise. Pick one with MAIL_TRANSPORT; add real providers (SMTP, an
+ * HTTP API) to MAIL_TRANSPORTS.
+ */
+
+// Logs messages to stdout - the default for local development
+class ConsoleMailTransport {
+    async send(message) {
+        console.log(`✉ Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        return { id: generateId() };
+    }
+}
+
+// Writes each message as a JSON file, so tests can read what was sent
+class FileMailTransport {
+    constructor(dir) {
+        this.dir = dir;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    async send(message) {
+        const id = generateId();
+        writeData(path.join(this.dir, `${id}.json`), { id, ...message, sentAt: new Date() });
+        return { id };
+    }
+}
+
+const MAIL_TRANSPORTS = {
+    console: () => new ConsoleMailTransport(),
+    file: () => new FileMailTransport(process.env.MAIL_OUTBOX_DIR || path.join(DATA_DIR, 'outbox'))
+};
+
+function createMailTransport(name) {
+    const factory = MAIL_TRANSPORTS[name];
+    if (!factory) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected one of: ${Object.keys(MAIL_TRANSPORTS).join(', ')})`);
+    }
+    return factory();
+}
+
+const mailer = createMailTransport((process.env.MAIL_TRANSPORT || 'console').toLowerCase());
+const MAIL_FROM = process.env.MAIL_FROM || 'Spokio <no-reply@spokio.app>';
+const APP_URL = process.env.APP_URL || process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Mail failures are logged, never surfaced to the request that triggered them
+async function sendMail(message) {
+    try {
+        return await mailer.send({ from: MAIL_FROM, ...message });
+    } catch (error) {
+        console.error(`Error sending mail to ${message.to}:`, error.message);
+        return null;
+    }
+}
+
+async function sendVerificationEmail(user) {
+    const token = await createAccountToken(user.id, 'email-verification', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+    return sendMail({
+        to: user.email,
+        subject: 'Verify your Spokio email address',
+        text: `Hi ${user.profile.name || user.username},\n\n` +
+            `Confirm your email address to join community groups:\n` +
+            `${APP_URL}/verify-email?token=${encodeURIComponent(token)}\n\n` +
+            `This link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+    });
+}
+
+async function sendPasswordResetEmail(user) {
+    const token = await createAccountToken(user.id, 'password-reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    return sendMail({
+        to: user.email,
+        subject: 'Reset your Spokio password',
+        text: `Hi ${user.profile.name || user.username},\n\n` +
+            `Use this link to choose a new password:\n` +
+            `${APP_URL}/reset-password?token=${encodeURIComponent(token)}\n\n` +
+            `This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. ` +
+            `If you did not ask for a reset, you can ignore this email.`
+    });
+}
+
+// Community features (groups, group chat) need a verified email address
+const requireVerifiedEmail = (req, res, next) => {
+    if (!req.user.emailVerified) {
+        return res.status(403).json({
+            success: false,
+            message: 'Please verify your email address to use community features'
+        });
+    }
+    next();
+};
+
+// ============================================
+// GROUP ROLES & MODERATION
+// ============================================
+
+/**
+ * Every group has one owner (its creator, until ownership is handed
+ * over), any number of moderators, and members. Moderators edit the
+ * group, delete messages and kick, ban or mute members; only the owner
+ * promotes and demotes moderators, transfers ownership and deletes the
+ * group. Nobody can act on someone of equal or higher rank.
+ * Bans and mutes live on the group ({ userId, reason, by, createdAt,
+ * expiresAt }, no expiry meaning until lifted). Private groups can only
+ * be joined with an invite from a moderator. Every action is written
+ * to the moderation log, which outlives the group.
+ */
+const GROUP_ROLE_RANK = { member: 1, moderator: 2, owner: 3 };
+const MODERATION_ACTIONS = [
+    'group-updated', 'group-deleted', 'ownership-transferred', 'member-promoted', 'member-demoted',
+    'member-invited', 'invite-revoked', 'member-kicked', 'member-banned', 'member-unbanned', 'member-muted',
+    'member-unmuted', 'message-deleted'
+];
+
+// 'owner', 'moderator', 'member', or null for someone outside the group
+function groupRole(group, userId) {
+    if (group.creator === userId) return 'owner';
+    if (!group.members.includes(userId)) return null;
+    return group.moderators.includes(userId) ? 'moderator' : 'member';
+}
+
+function groupRank(group, userId) {
+    return GROUP_ROLE_RANK[groupRole(group, userId)] || 0;
+}
+
+// The user's ban or mute that is still in force, if any
+function activeRestriction(restrictions, userId, now = new Date()) {
+    return (restrictions || []).find(r =>
+        r.userId === userId && (!r.expiresAt || new Date(r.expiresAt) > now));
+}
+
+function restrictionExpiry(durationMinutes) {
+    return durationMinutes ? new Date(Date.now() + durationMinutes * 60 * 1000) : null;
+}
+
+// Why `userId` may not post (or type) in `group`, or null if they may
+function groupPostingError(group, userId) {
+    if (!group || !group.members.includes(userId)) {
+        return { status: 403, message: 'You are not a member of this group' };
+    }
+
+    const mute = activeRestriction(group.mutes, userId);
+    if (mute) {
+        return {
+            status: 403,
+            message: mute.expiresAt
+                ? `You are muted in this group until ${new Date(mute.expiresAt).toISOString()}`
+                : 'You are muted in this group'
+        };
+    }
+    return null;
+}
+
+// Why `actorId` may not moderate `targetId` in `group`, or null if they may
+function moderationError(group, actorId, targetId) {
+    const rank = groupRank(group, actorId);
+    if (rank < GROUP_ROLE_RANK.moderator) {
+        return { status: 403, message: 'Only the group owner and moderators can do that' };
+    }
+    if (targetId === actorId) {
+        return { status: 400, message: 'You cannot moderate yourself' };
+    }
+    if (groupRank(group, targetId) >= rank) {
+        return { status: 403, message: 'You cannot moderate a member of equal or higher rank' };
+    }
+    return null;
+}
+
+// Group as shown to `viewerId`: bans and mutes only for moderators
+function groupView(group, viewerId) {
+    const { bans, mutes, invites, ...rest } = group;
+    if (groupRank(group, viewerId) < GROUP_ROLE_RANK.moderator) return rest;
+    return { ...rest, bans, mutes, invites };
+}
+
+// Private groups are only visible to members and invited users
+function canSeeGroup(group, userId) {
+    return group.isPublic || group.members.includes(userId) ||
+        (group.invites || []).some(invite => invite.userId === userId);
+}
+
+async function logModeration(group, actorId, action, details = {}) {
+    const entry = {
+        id: generateId(),
+        groupId: group.id,
+        groupName: group.name,
+        actorId,
+        action,
+        targetUserId: details.targetUserId || null,
+        messageId: details.messageId || null,
+        reason: details.reason || '',
+        details: details.details || {},
+        createdAt: new Date()
+    };
+    await db.moderationLog.insert(entry);
+    return entry;
+}
+
+// Take `userId` out of the group, its moderators and its chat room.
+// `update` can change the group in the same write (e.g. to add a ban).
+async function removeGroupMember(groupId, userId, update) {
+    const group = await db.groups.update(groupId, g => {
+        g.members = g.members.filter(id => id !== userId);
+        g.moderators = g.moderators.filter(id => id !== userId);
+        g.memberCount = g.members.length;
+        return update ? update(g) : g;
+    });
+
+    await db.users.update(userId, u => {
+        u.communityGroups = u.communityGroups.filter(id => id !== groupId);
+        return u;
+    });
+    io.in(`user-${userId}`).socketsLeave(`group-${groupId}`);
+
+    return group;
+}
+
+/**
+ * Delete a group message as its author, or as a moderator who outranks
+ * the author (logged). Shared by the REST route and the socket event.
+ * Returns { deleted } or { status, message }.
+ */
+async function deleteGroupMessage(groupId, messageId, actorId) {
+    const group = db.groups.findById(groupId);
+    const message = db.messages.findById(messageId);
+
+    if (!group || !message || message.groupId !== groupId) {
+        return { status: 404, message: 'Message not found' };
+    }
+
+    const moderated = message.userId !== actorId;
+    if (moderated) {
+        const error = moderationError(group, actorId, message.userId);
+        if (error) return error;
+    }
+
+    await db.messages.remove(messageId);
+    await db.groups.update(groupId, g => {
+        g.messageCount = Math.max(0, g.messageCount - 1);
+        return g;
+    });
+
+    if (moderated) {
+        await logModeration(group, actorId, 'message-deleted', {
+            targetUserId: message.userId,
+            messageId,
+            details: { content: message.content }
+        });
+    }
+
+    io.to(`group-${groupId}`).emit('group-message-deleted', { groupId, messageId, deletedBy: actorId });
+    return { deleted: message };
+}
+
+// ============================================
+// EMERGENCY NOTIFICATIONS
+// ============================================
+
+/**
+ * When an alert is raised, every emergency contact is notified on each
+ * of their channels. Each (contact, channel) pair is a delivery on the
+ * alert's `notifications` list:
+ *   { id, contactId, contactName, channel, to, status, attempts,
+ *     lastError, lastAttemptAt, nextAttemptAt, deliveredAt, providerId }
+ * status is 'pending' until a send succeeds ('sent') or gives up after
+ * NOTIFY_MAX_ATTEMPTS ('failed'). Closing the alert cancels whatever is
+ * still pending.
+ *
+ * Channels implement address(contact) -> string | null and
+ * send({ to, subject, text, payload }) -> Promise<{ id }>. SMS and push
+ * go through a transport picked with NOTIFY_SMS_TRANSPORT and
+ * NOTIFY_PUSH_TRANSPORT; add real providers to NOTIFICATION_TRANSPORTS.
+ */
+const NOTIFY_MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS, 10) || 5;
+const NOTIFY_RETRY_BASE_MS = (parseInt(process.env.NOTIFY_RETRY_BASE_SECONDS, 10) || 30) * 1000;
+const NOTIFY_RETRY_INTERVAL_MS = 15 * 1000;
+const NOTIFY_WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// Writes each notification as a JSON file and logs it - the default
+// until a real SMS or push provider is configured
+class StubNotificationTransport {
+    constructor(channel, dir) {
+        this.channel = channel;
+        this.dir = dir;
+    }
+
+    async send(message) {
+        const id = generateId();
+        fs.mkdirSync(this.dir, { recursive: true });
+        writeData(path.join(this.dir, `${id}.json`), { id, channel: this.channel, ...message, sentAt: new Date() });
+        console.log(`🔔 ${this.channel} to ${message.to}: ${message.subject}`);
+        return { id };
+    }
+}
+
+const NOTIFICATION_TRANSPORTS = {
+    stub: channel => new StubNotificationTransport(channel, process.env.NOTIFY_OUTBOX_DIR || path.join(DATA_DIR, 'notifications'))
+};
+
+function createNotificationTransport(channel, name) {
+    const factory = NOTIFICATION_TRANSPORTS[name];
+    if (!factory) {
+        throw new Error(`Unknown ${channel} transport "${name}" (expected one of: ${Object.keys(NOTIFICATION_TRANSPORTS).join(', ')})`);
+    }
+    return factory(channel);
+}
+
+// Webhooks only go to the public internet: never to loopback, private,
+// link-local (cloud metadata), carrier-grade NAT or multicast addresses
+const WEBHOOK_BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => WEBHOOK_BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    // IPv4-mapped addresses are checked against the IPv4 ranges by BlockList
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => WEBHOOK_BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+    return !WEBHOOK_BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Why a webhook URL is unusable as given, or null. Hostnames are checked
+// again when they are resolved for each delivery.
+function webhookUrlError(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return 'must be a valid URL';
+    }
+    if (parsed.protocol !== 'https:') return 'must use https';
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (host === 'localhost' || host.endsWith('.localhost')) return 'must not point at this server';
+    if (net.isIP(host) && !isPublicAddress(host)) return 'must not point at a private or local address';
+    return null;
+}
+
+// DNS lookup for webhook connections that refuses non-public addresses.
+// The check happens at connect time, so a record that changes after
+// validation cannot redirect the request.
+function publicOnlyLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+        if (blocked) {
+            return callback(new Error(`Webhook host ${hostname} resolves to a non-public address`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// POST the alert as JSON over https. Redirects are not followed. With
+// NOTIFY_WEBHOOK_SECRET set the body is signed:
+// X-Spokio-Signature: sha256=<hex HMAC of the raw body>.
+function postWebhook(url, payload) {
+    const urlError = webhookUrlError(url);
+    if (urlError) {
+        return Promise.reject(new Error(`Webhook URL ${urlError}`));
+    }
+
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) };
+    if (process.env.NOTIFY_WEBHOOK_SECRET) {
+        headers['X-Spokio-Signature'] = `sha256=${crypto.createHmac('sha256', process.env.NOTIFY_WEBHOOK_SECRET).update(body).digest('hex')}`;
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = https.request(url, {
+            method: 'POST',
+            headers,
+            lookup: publicOnlyLookup,
+            timeout: NOTIFY_WEBHOOK_TIMEOUT_MS
+        }, response => {
+            response.resume();
+            if (response.statusCode < 200 || response.statusCode >= 300) {
+                return reject(new Error(`Webhook responded with HTTP ${response.statusCode}`));
+            }
+            resolve({ id: response.headers['x-request-id'] || generateId() });
+        });
+
+        request.on('timeout', () => request.destroy(new Error('Webhook timed out')));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+const smsTransport = createNotificationTransport('sms', (process.env.NOTIFY_SMS_TRANSPORT || 'stub').toLowerCase());
+const pushTransport = createNotificationTransport('push', (process.env.NOTIFY_PUSH_TRANSPORT || 'stub').toLowerCase());
+
+const NOTIFICATION_CHANNELS = {
+    sms: {
+        address: contact => contact.phone || null,
+        send: message => smsTransport.send(message)
+    },
+    email: {
+        address: contact => contact.email || null,
+        send: message => mailer.send({ from: MAIL_FROM, to: message.to, subject: message.subject, text: message.text })
+    },
+    webhook: {
+        address: contact => contact.webhookUrl || null,
+        send: message => postWebhook(message.to, message.payload)
+    },
+    // Contacts with a Spokio account (`userId`) get a push notification
+    // once they have accepted being an emergency contact
+    push: {
+        address: contact => (contact.userId && contact.status === 'accepted' ? contact.userId : null),
+        send: message => pushTransport.send(message)
+    }
+};
+
+// Channels a contact is reached on: the ones they chose, or every
+// channel we have an address for
+function contactChannels(contact) {
+    const wanted = contact.channels && contact.channels.length > 0
+        ? contact.channels
+        : Object.keys(NOTIFICATION_CHANNELS);
+    return wanted.filter(channel => NOTIFICATION_CHANNELS[channel] && NOTIFICATION_CHANNELS[channel].address(contact));
+}
+
+function planNotifications(contacts) {
+    return contacts.flatMap(contact => contactChannels(contact).map(channel => ({
+        id: generateId(),
+        contactId: contact.id,
+        contactName: contact.name,
+        channel,
+        to: NOTIFICATION_CHANNELS[channel].address(contact),
+        status: 'pending',
+        attempts: 0,
+        lastError: null,
+        lastAttemptAt: null,
+        nextAttemptAt: new Date(),
+        deliveredAt: null,
+        providerId: null
+    })));
+}
+
+// An emergency contact entry as the linked user sees it
+function contactRequestView(owner, contactId) {
+    const contact = owner.emergencyContacts.find(c => c.id === contactId);
+    return {
+        contactId,
+        owner: { id: owner.id, username: owner.username, name: owner.profile.name },
+        relationship: contact.relationship || '',
+        status: contact.status
+    };
+}
+
+function alertNotificationContent(alert, user) {
+    const name = user.profile.name || user.username;
+    const reminder = alert.escalationLevel > 0 ? 'Still no response: ' : '';
+    const { latitude, longitude, address } = alert.location || {};
+    const where = latitude !== undefined && longitude !== undefined
+        ? `\nLocation: ${address ? `${address} ` : ''}https://maps.google.com/?q=${latitude},${longitude}`
+        : (address ? `\nLocation: ${address}` : '');
+
+    return {
+        subject: `${reminder}Emergency alert from ${name}`,
+        text: `${name} has raised an emergency alert on Spokio.` +
+            (alert.message ? `\nMessage: ${alert.message}` : '') +
+            where +
+            `\nSent: ${new Date(alert.createdAt).toISOString()}`,
+        payload: {
+            type: 'emergency.alert',
+            alert: {
+                id: alert.id,
+                message: alert.message,
+                severity: alert.severity,
+                location: alert.location,
+                createdAt: alert.createdAt
+            },
+            user: { id: user.id, name }
+        }
+    };
+}
+
+// Deliveries being sent right now, so the retry sweep never sends one twice
+const notificationsInFlight = new Set();
+
+async function attemptNotification(alert, user, delivery) {
+    notificationsInFlight.add(delivery.id);
+    const attemptedAt = new Date();
+    let outcome;
+
+    try {
+        const result = await NOTIFICATION_CHANNELS[delivery.channel].send({
+            to: delivery.to,
+            ...alertNotificationContent(alert, user)
+        });
+        outcome = { status: 'sent', deliveredAt: attemptedAt, providerId: result && result.id ? result.id : null, lastError: null, nextAttemptAt: null };
+    } catch (error) {
+        console.error(`Error notifying ${delivery.contactName} by ${delivery.channel}:`, error.message);
+        const attempts = delivery.attempts + 1;
+        outcome = attempts >= NOTIFY_MAX_ATTEMPTS
+            ? { status: 'failed', lastError: error.message, nextAttemptAt: null }
+            : { status: 'pending', lastError: error.message, nextAttemptAt: new Date(attemptedAt.getTime() + NOTIFY_RETRY_BASE_MS * 4 ** (attempts - 1)) };
+    }
+
+    try {
+        await db.emergency.update(alert.id, a => {
+            const record = (a.notifications || []).find(n => n.id === delivery.id);
+            // Cancelled while the send was underway
+            if (!record || record.status !== 'pending') return a;
+            Object.assign(record, outcome, { attempts: record.attempts + 1, lastAttemptAt: attemptedAt });
+            if (record.status !== 'pending') {
+                (a.timeline = a.timeline || []).push(timelineEntry(`notification-${record.status}`, null, {
+                    notificationId: record.id,
+                    contactName: record.contactName,
+                    channel: record.channel,
+                    attempts: record.attempts
+                }));
+            }
+            return a;
+        });
+    } finally {
+        notificationsInFlight.delete(delivery.id);
+    }
+}
+
+// Send every delivery of an active alert that is due
+async function dispatchAlertNotifications(alert) {
+    const user = db.users.findById(alert.userId);
+    if (!user || alert.status !== 'active') return;
+
+    const now = Date.now();
+    const due = (alert.notifications || []).filter(n =>
+        n.status === 'pending' &&
+        !notificationsInFlight.has(n.id) &&
+        new Date(n.nextAttemptAt).getTime() <= now);
+
+    await Promise.all(due.map(delivery => attemptNotification(alert, user, delivery)));
+}
+
+async function retryDueNotifications() {
+    const alerts = db.emergency.filter(a =>
+        a.status === 'active' && (a.notifications || []).some(n => n.status === 'pending'));
+
+    for (const alert of alerts) {
+        await dispatchAlertNotifications(alert).catch(error =>
+            console.error(`Error dispatching notifications for alert ${alert.id}:`, error.message));
+    }
+}
+
+setInterval(retryDueNotifications, NOTIFY_RETRY_INTERVAL_MS).unref();
+
+// Update function for closing an alert: stop pending deliveries
+function cancelPendingNotifications(alert) {
+    (alert.notifications || []).forEach(n => {
+        if (n.status === 'pending') {
+            n.status = 'cancelled';
+            n.nextAttemptAt = null;
+        }
+    });
+    return alert;
+}
+
+// ============================================
+// EMERGENCY RESPONSE & ESCALATION
+// ============================================
+
+/**
+ * An alert's `circle` lists the Spokio users who receive it and may
+ * respond: emergency contacts with an account, members of the groups
+ * the owner trusts, and opted-in responders near the alert; once the
+ * alert escalates, members of all the owner's groups too. Circle members
+ * can view the alert; after acknowledging it they show up in
+ * `responders` and may add notes and resolve it.
+ *
+ * Until someone acknowledges, the alert escalates every
+ * ESCALATION_MINUTES, up to ESCALATION_MAX_LEVEL times: contacts are
+ * notified again and the circle widens. Every change is appended to
+ * the alert's `timeline` as { id, type, actorId, at, details }.
+ */
+const ESCALATION_MS = (parseInt(process.env.ESCALATION_MINUTES, 10) || 5) * 60 * 1000;
+const ESCALATION_MAX_LEVEL = 2;
+
+function timelineEntry(type, actorId, details = {}) {
+    return { id: generateId(), type, actorId: actorId || null, at: new Date(), details };
+}
+
+// Great-circle distance in kilometres between two { latitude, longitude }
+function distanceKm(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLon = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+function hasCoordinates(location) {
+    return Boolean(location) && typeof location.latitude === 'number' && typeof location.longitude === 'number';
+}
+
+// Opted-in responders whose area covers `location`
+function nearbyResponders(location, excludeUserId) {
+    if (!hasCoordinates(location)) return [];
+
+    return db.users.filter(u => {
+        const responder = u.emergencySettings && u.emergencySettings.nearbyResponder;
+        return u.id !== excludeUserId &&
+            u.isActive !== false &&
+            responder && responder.enabled &&
+            hasCoordinates(responder) &&
+            distanceKm(location, responder) <= responder.radiusKm;
+    });
+}
+
+// Contacts with a Spokio account, trusted group members and (unless the
+// owner turned them off) nearby responders. Escalation re-checks nearby
+// responders at the latest location; only owners who chose
+// escalateToAllGroups also get everyone who shares a group with them from
+// level 1. Earlier entries win, so `via` names the closest tie.
+function alertCircle(user, level, location) {
+    const settings = { ...defaultEmergencySettings(), ...user.emergencySettings };
+    const circle = new Map();
+    const add = (userId, entry) => {
+        if (userId !== user.id && !circle.has(userId)) circle.set(userId, { userId, ...entry });
+    };
+
+    (user.emergencyContacts || [])
+        .filter(contact => contact.userId && contact.status === 'accepted')
+        .forEach(contact => add(contact.userId, { via: 'contact' }));
+
+    const groups = db.groups.filter(g => g.members.includes(user.id));
+    groups
+        .filter(group => settings.trustedGroupIds.includes(group.id))
+        .forEach(group => group.members.forEach(memberId => add(memberId, { via: 'trusted-group', groupId: group.id })));
+
+    if (settings.alertNearbyResponders) {
+        nearbyResponders(location, user.id).forEach(responder => add(responder.id, {
+            via: 'nearby',
+            distanceKm: Math.round(distanceKm(location, responder.emergencySettings.nearbyResponder) * 10) / 10
+        }));
+    }
+
+    if (level >= 1 && settings.escalateToAllGroups) {
+        groups.forEach(group => group.members.forEach(memberId => add(memberId, { via: 'group', groupId: group.id })));
+    }
+
+    return [...circle.values()];
+}
+
+/**
+ * Push the alert to the owner's other devices and to circle members who
+ * are online - never to anyone else. `members` defaults to the whole
+ * circle; escalation passes just the people it added.
+ */
+function broadcastEmergency(alert, user, members = alert.circle) {
+    const payload = {
+        userId: user.id,
+        userName: user.profile.name || user.username,
+        location: alert.location,
+        message: alert.message,
+        severity: alert.severity,
+        trigger: alert.trigger,
+        escalationLevel: alert.escalationLevel,
+        timestamp: new Date(),
+        emergencyId: alert.id
+    };
+
+    if (members === alert.circle) {
+        io.to(`user-${user.id}`).emit('emergency-broadcast', { ...payload, via: 'self' });
+    }
+    members.forEach(member => {
+        io.to(`user-${member.userId}`).emit('emergency-broadcast', { ...payload, via: member.via });
+    });
+}
+
+// 'owner', 'responder' (acknowledged), 'circle' or null
+function alertRole(alert, userId) {
+    if (alert.userId === userId) return 'owner';
+    if ((alert.responders || []).some(r => r.userId === userId)) return 'responder';
+    if ((alert.circle || []).some(member => member.userId === userId)) return 'circle';
+    return null;
+}
+
+// Alert as shown to someone with `role`. Until they acknowledge, circle
+// members see what they need to respond - no contact details, delivery
+// records, notes or timeline.
+function alertView(alert, role) {
+    const owner = db.users.findById(alert.userId);
+    const user = owner ? { id: owner.id, username: owner.username, name: owner.profile.name } : null;
+
+    if (role !== 'circle') {
+        return { ...alert, user };
+    }
+
+    return {
+        id: alert.id,
+        userId: alert.userId,
+        user,
+        status: alert.status,
+        message: alert.message,
+        severity: alert.severity,
+        location: alert.location,
+        track: alert.track,
+        acknowledgedAt: alert.acknowledgedAt,
+        createdAt: alert.createdAt,
+        resolvedAt: alert.resolvedAt,
+        cancelledAt: alert.cancelledAt
+    };
+}
+
+// `trigger` records what raised the alert: { type: 'manual' } or an
+// automatic safety rule, { type: 'zone-exit' | 'missed-check-in', ruleId, name }
+async function createEmergencyAlert(user, { message, location, severity, trigger = { type: 'manual' } }) {
+    const contacts = user.emergencyContacts || [];
+    const now = new Date();
+
+    const alert = {
+        id: generateId(),
+        userId: user.id,
+        status: 'active',
+        location: location || {},
+        track: hasCoordinates(location) ? [trackPoint(location, now)] : [],
+        message: message || '',
+        severity: severity || 'high',
+        trigger,
+        emergencyContacts: contacts.map(c => ({ id: c.id, name: c.name, relationship: c.relationship })),
+        notifications: planNotifications(contacts),
+        circle: alertCircle(user, 0, location),
+        responders: [],
+        notes: [],
+        escalationLevel: 0,
+        nextEscalationAt: new Date(now.getTime() + ESCALATION_MS),
+        acknowledgedAt: null,
+        timeline: [timelineEntry('created', trigger.type === 'manual' ? user.id : null, { severity: severity || 'high', trigger })],
+        createdAt: now,
+        resolvedAt: null,
+        cancelledAt: null
+    };
+
+    // A safety rule (trigger.ruleId) never raises a second alert while its
+    // last one is still active. Checked under the lock, so overlapping
+    // location reports cannot both get through.
+    const inserted = await db.emergency.transaction(store => {
+        const open = trigger.ruleId && store.find(a =>
+            a.userId === user.id && a.status === 'active' && a.trigger && a.trigger.ruleId === trigger.ruleId);
+        return open ? null : store.insert(alert);
+    });
+    if (!inserted) return null;
+
+    broadcastEmergency(alert, user);
+
+    // Notify contacts in the background; retries are picked up by
+    // retryDueNotifications
+    dispatchAlertNotifications(alert).catch(error =>
+        console.error(`Error dispatching notifications for alert ${alert.id}:`, error.message));
+
+    return alert;
+}
+
+// Nobody acknowledged in time: notify contacts again and widen the circle
+async function escalateAlert(alertId) {
+    let added = [];
+    const alert = await db.emergency.update(alertId, a => {
+        if (a.status !== 'active' || a.acknowledgedAt || !a.nextEscalationAt) return a;
+
+        const user = db.users.findById(a.userId);
+        if (!user) return a;
+
+        const level = a.escalationLevel + 1;
+        const circle = alertCircle(user, level, a.location);
+        added = circle.filter(member => !a.circle.some(existing => existing.userId === member.userId));
+        // Group members are reached in the app; contacts on their own channels.
+        // Group members need no contact request, so they count as accepted.
+        const notifications = [
+            ...planNotifications(user.emergencyContacts || []),
+            ...planNotifications(added
+                .filter(member => member.via === 'group')
+                .map(member => ({ id: null, name: (db.users.findById(member.userId) || {}).username, userId: member.userId, status: 'accepted', channels: ['push'] })))
+        ];
+
+        a.escalationLevel = level;
+        a.circle = circle;
+        a.notifications.push(...notifications);
+        a.nextEscalationAt = level < ESCALATION_MAX_LEVEL ? new Date(Date.now() + ESCALATION_MS) : null;
+        a.timeline.push(timelineEntry('escalated', null, {
+            level,
+            addedToCircle: added.map(member => member.userId),
+            notifications: notifications.length
+        }));
+        return a;
+    });
+
+    if (alert && alert.status === 'active') {
+        if (added.length > 0) broadcastEmergency(alert, db.users.findById(alert.userId), added);
+        await dispatchAlertNotifications(alert);
+    }
+}
+
+async function escalateDueAlerts() {
+    const now = Date.now();
+    const due = db.emergency.filter(a =>
+        a.status === 'active' &&
+        !a.acknowledgedAt &&
+        a.nextEscalationAt &&
+        new Date(a.nextEscalationAt).getTime() <= now);
+
+    for (const alert of due) {
+        await escalateAlert(alert.id).catch(error =>
+            console.error(`Error escalating alert ${alert.id}:`, error.message));
+    }
+}
+
+setInterval(escalateDueAlerts, NOTIFY_RETRY_INTERVAL_MS).unref();
+
+// Update function for closing an alert as `status` ('resolved' or 'cancelled')
+function closeAlert(status, actorId, details = {}) {
+    return alert => {
+        const now = new Date();
+        alert.status = status;
+        alert[status === 'resolved' ? 'resolvedAt' : 'cancelledAt'] = now;
+        alert.nextEscalationAt = null;
+        alert.timeline.push(timelineEntry(status, actorId, details));
+        return cancelPendingNotifications(alert);
+    };
+}
+
+// ============================================
+// EMERGENCY LOCATION SHARING
+// ============================================
+
+/**
+ * While an alert is active its owner streams location fixes (REST or
+ * Socket.IO). Each fix updates `location`, is appended to `track` and is
+ * pushed to the circle as 'emergency-location'. Closing the alert ends
+ * tracking.
+ *
+ * People without an account follow an alert through share links:
+ * "<shareId>.<secret>" tokens stored hashed in alertShares, read-only,
+ * expiring, and dead as soon as the alert is closed.
+ */
+const ALERT_TRACK_MAX_POINTS = 5000;
+const ALERT_SHARE_DEFAULT_MINUTES = 60;
+
+function trackPoint({ latitude, longitude, accuracy }, at = new Date()) {
+    return { latitude, longitude, accuracy: accuracy === undefined ? null : accuracy, at };
+}
+
+// Append a fix to an active alert owned by `userId` and push it to the
+// circle. Returns { alert, point } or { status, message } on refusal.
+async function recordAlertLocation(alertId, userId, fix) {
+    const existing = db.emergency.findById(alertId);
+    if (!existing || existing.userId !== userId) {
+        return { status: 404, message: 'Alert not found' };
+    }
+    if (existing.status !== 'active') {
+        return { status: 409, message: `Alert is already ${existing.status}; location sharing has stopped` };
+    }
+
+    const point = trackPoint(fix);
+    let refused = null;
+    const alert = await db.emergency.update(alertId, a => {
+        // Closed while this fix was in flight
+        if (a.status !== 'active') {
+            refused = { status: 409, message: `Alert is already ${a.status}; location sharing has stopped` };
+            return a;
+        }
+        a.location = { ...a.location, latitude: point.latitude, longitude: point.longitude, accuracy: point.accuracy };
+        a.track = [...(a.track || []), point].slice(-ALERT_TRACK_MAX_POINTS);
+        return a;
+    });
+    if (refused) return refused;
+
+    [alert.userId, ...alert.circle.map(member => member.userId)].forEach(recipientId => {
+        io.to(`user-${recipientId}`).emit('emergency-location', { emergencyId: alert.id, point });
+    });
+    return { alert, point };
+}
+
+async function createAlertShare(alert, userId, ttlMinutes) {
+    const now = new Date();
+    const secret = crypto.randomBytes(32).toString('hex');
+    const share = {
+        id: generateId(),
+        alertId: alert.id,
+        userId,
+        tokenHash: hashToken(secret),
+        expiresAt: new Date(now.getTime() + ttlMinutes * 60 * 1000),
+        revokedAt: null,
+        createdAt: now
+    };
+
+    await db.alertShares.insert(share);
+    await db.emergency.update(alert.id, a => {
+        a.timeline.push(timelineEntry('share-created', userId, { shareId: share.id, expiresAt: share.expiresAt }));
+        return a;
+    });
+    return { share, token: `${share.id}.${secret}` };
+}
+
+// Share record without its hash, as shown to the alert owner
+function shareView({ tokenHash, ...share }) {
+    return share;
+}
+
+// The alert behind a share token: { alert, share } or { status, message }
+function resolveAlertShare(token) {
+    const [id, secret = ''] = String(token).split('.');
+    const share = db.alertShares.findById(id);
+
+    if (!share || share.tokenHash !== hashToken(secret) || share.revokedAt) {
+        return { status: 404, message: 'Share link not found' };
+    }
+    if (new Date(share.expiresAt) <= new Date()) {
+        return { status: 410, message: 'This share link has expired' };
+    }
+
+    const alert = db.emergency.findById(share.alertId);
+    if (!alert || alert.status !== 'active') {
+        return { status: 410, message: 'This alert is no longer active' };
+    }
+    return { alert, share };
+}
+
+// ============================================
+// SAFE ZONES & CHECK-INS
+// ============================================
+
+/**
+ * Automatic safety triggers. Each raises an ordinary emergency alert
+ * through createEmergencyAlert, with a `trigger` naming the rule:
+ *   - Safe zones are circles ({ center, radiusM }) or polygons
+ *     ({ points }). Device location reports are checked as they arrive;
+ *     going from inside a zone to outside it raises a 'zone-exit' alert.
+ *   - Check-ins are daily times ("HH:MM" on `days`, in the user's
+ *     timezoneOffset) confirmed with one tap. The scheduler reminds the
+ *     user when one falls due and raises a 'missed-check-in' alert once
+ *     graceMinutes pass unconfirmed.
+ * A rule never raises a second alert while its last one is still active.
+ */
+const SAFE_ZONE_LIMIT = 20;
+const CHECK_IN_LIMIT = 10;
+// How long before a check-in is due it can already be confirmed
+const CHECK_IN_EARLY_MINUTES = 60;
+const SAFETY_SCHEDULER_INTERVAL_MS = 30 * 1000;
+// Device locations are kept in memory and written to the user record at
+// most this often, so frequent reports do not rewrite the users collection
+const LOCATION_PERSIST_MS = 5 * 60 * 1000;
+const deviceLocations = new Map();
+
+// Ray casting on raw coordinates - fine at the scale of a zone
+function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.latitude > point.latitude) !== (b.latitude > point.latitude) &&
+            point.longitude < (b.longitude - a.longitude) * (point.latitude - a.latitude) / (b.latitude - a.latitude) + a.longitude) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// A fix only counts as outside a circle when its whole accuracy radius is,
+// so GPS jitter at the edge does not raise alerts
+function zoneContains(zone, fix) {
+    if (zone.shape === 'circle') {
+        return distanceKm(zone.center, fix) * 1000 <= zone.radiusM + (fix.accuracy || 0);
+    }
+    return pointInPolygon(fix, zone.points);
+}
+
+// Shape rules the declarative schema cannot express; null when fine
+function safeZoneShapeError({ shape, center, radiusM, points }) {
+    if (shape === 'circle' && (!hasCoordinates(center) || radiusM === undefined)) {
+        return { field: 'center', message: 'and radiusM are required for a circle' };
+    }
+    if (shape === 'polygon' && (!points || points.length < 3)) {
+        return { field: 'points', message: 'must have at least 3 points for a polygon' };
+    }
+    return null;
+}
+
+// First scheduled time strictly after `after`, or null without any times
+function nextCheckInDue(checkIn, after = new Date()) {
+    const offsetMs = (checkIn.timezoneOffset || 0) * 60 * 1000;
+    const local = new Date(after.getTime() - offsetMs);
+    const times = [...checkIn.times].sort();
+
+    for (let day = 0; day <= 7; day++) {
+        const date = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + day));
+        if (checkIn.days.length > 0 && !checkIn.days.includes(DAY_NAMES[date.getUTCDay()])) continue;
+
+        for (const time of times) {
+            const [hours, minutes] = time.split(':').map(Number);
+            const due = new Date(date.getTime() + (hours * 60 + minutes) * 60 * 1000 + offsetMs);
+            if (due > after) return due;
+        }
+    }
+    return null;
+}
+
+// Raise an alert for a safety rule; null while its last one is still active
+async function raiseSafetyAlert(user, trigger, message, location) {
+    return createEmergencyAlert(user, {
+        message,
+        location: hasCoordinates(location)
+            ? { latitude: location.latitude, longitude: location.longitude, accuracy: location.accuracy === null ? undefined : location.accuracy }
+            : undefined,
+        severity: 'high',
+        trigger
+    });
+}
+
+// Latest reported location, falling back to the last one written to disk
+function lastDeviceLocation(user) {
+    const latest = deviceLocations.get(user.id);
+    return latest ? latest.point : user.lastLocation;
+}
+
+async function rememberDeviceLocation(user, point) {
+    const latest = deviceLocations.get(user.id);
+    const persist = !latest || Date.now() - latest.persistedAt >= LOCATION_PERSIST_MS;
+    deviceLocations.set(user.id, { point, persistedAt: persist ? Date.now() : latest.persistedAt });
+
+    if (persist) await db.users.update(user.id, { lastLocation: point });
+}
+
+/**
+ * Handle a location report from one of the user's devices: remember it,
+ * add it to the track of any active alert and check the safe zones.
+ * Returns { zones: [{ id, name, inside }], alerts: [raised alerts] }.
+ */
+async function reportDeviceLocation(user, fix) {
+    const point = trackPoint(fix);
+    await rememberDeviceLocation(user, point);
+
+    for (const alert of db.emergency.filter(a => a.userId === user.id && a.status === 'active')) {
+        await recordAlertLocation(alert.id, user.id, fix);
+    }
+
+    const zones = [];
+    const alerts = [];
+    for (const zone of db.safeZones.filter(z => z.userId === user.id && z.enabled)) {
+        const inside = zoneContains(zone, point);
+        zones.push({ id: zone.id, name: zone.name, inside });
+
+        const state = inside ? 'inside' : 'outside';
+        if (state === zone.state) continue;
+
+        // Re-check under the lock: only the report that flips the zone from
+        // inside to outside raises an alert
+        let exited = false;
+        await db.safeZones.update(zone.id, z => {
+            if (z.state === state) return z;
+            exited = z.state === 'inside';
+            z.state = state;
+            z.stateChangedAt = point.at;
+            return z;
+        });
+
+        if (exited) {
+            const alert = await raiseSafetyAlert(user, { type: 'zone-exit', ruleId: zone.id, name: zone.name },
+                `Left safe zone "${zone.name}"`, point);
+            if (alert) alerts.push(alert);
+        }
+    }
+
+    return { zones, alerts };
+}
+
+// Remind due check-ins and raise alerts for missed ones
+let safetySchedulerRunning = false;
+
+async function runSafetyScheduler() {
+    if (safetySchedulerRunning) return;
+    safetySchedulerRunning = true;
+
+    try {
+        const now = new Date();
+        const due = db.checkIns.filter(c => c.enabled && c.nextDueAt && new Date(c.nextDueAt) <= now);
+
+        for (const checkIn of due) {
+            const dueAt = new Date(checkIn.nextDueAt);
+
+            if (now - dueAt < checkIn.graceMinutes * 60 * 1000) {
+                if (!checkIn.remindedFor || new Date(checkIn.remindedFor).getTime() !== dueAt.getTime()) {
+                    await db.checkIns.update(checkIn.id, { remindedFor: dueAt });
+                    io.to(`user-${checkIn.userId}`).emit('check-in-due', {
+                        checkInId: checkIn.id,
+                        label: checkIn.label,
+                        dueAt,
+                        graceMinutes: checkIn.graceMinutes
+                    });
+                }
+                continue;
+            }
+
+            // Missed. Skip past every slot that went by, so a server that
+            // was down for a day raises one alert rather than several.
+            // Re-check under the lock: a confirmation or edit since the
+            // filter above has already moved nextDueAt on.
+            let missed = false;
+            await db.checkIns.update(checkIn.id, c => {
+                if (!c.enabled || !c.nextDueAt || new Date(c.nextDueAt).getTime() !== dueAt.getTime()) return c;
+                missed = true;
+                c.lastMissedAt = dueAt;
+                c.nextDueAt = nextCheckInDue(c, now);
+                c.remindedFor = null;
+                return c;
+            });
+            if (!missed) continue;
+
+            const user = db.users.findById(checkIn.userId);
+            if (!user) continue;
+            await raiseSafetyAlert(user, { type: 'missed-check-in', ruleId: checkIn.id, name: checkIn.label },
+                `Missed check-in "${checkIn.label}" due at ${dueAt.toISOString()}`, lastDeviceLocation(user));
+        }
+    } catch (error) {
+        console.error('Error running safety scheduler:', error.message);
+    } finally {
+        safetySchedulerRunning = false;
+    }
+}
+
+setInterval(runSafetyScheduler, SAFETY_SCHEDULER_INTERVAL_MS).unref();
+
+// ============================================
+// PHRASE LIBRARY
+// ============================================
+
+// Public phrases with this many distinct reports drop out of the library
+const LIBRARY_REPORT_THRESHOLD = parseInt(process.env.LIBRARY_REPORT_THRESHOLD, 10) || 3;
+const REPORT_REASONS = ['offensive', 'spam', 'inaccurate', 'other'];
+
+function newPhrase(user, fields, now = new Date()) {
+    return {
+        id: generateId(),
+        userId: user.id,
+        ...defaultPhraseFields(),
+        language: userLanguage(user),
+        ...fields,
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+// Feed stored phrases to `user`'s prediction model and saved list
+async function addSavedPhrases(user, phrases) {
+    phrases.forEach(phrase => predictionEngine.learn(user.id, phrase.text, phrase.language));
+
+    await db.users.update(user.id, u => {
+        u.savedPhrases.push(...phrases.map(p => p.id));
+        return u;
+    });
+}
+
+// Store new phrases for `user` in one write and feed them to their
+// prediction model
+async function savePhrases(user, fieldsList) {
+    const now = new Date();
+    const phrases = fieldsList.map(fields => newPhrase(user, fields, now));
+
+    await db.phrases.transaction(store => store.insertMany(phrases));
+    await addSavedPhrases(user, phrases);
+    return phrases;
+}
+
+async function savePhrase(user, fields) {
+    const [phrase] = await savePhrases(user, [fields]);
+    return phrase;
+}
+
+function isListed(phrase) {
+    return Boolean(phrase && phrase.isPublic && (phrase.reportCount || 0) < LIBRARY_REPORT_THRESHOLD);
+}
+
+// Library view of a phrase: no usage data, author reduced to a byline
+function libraryEntry(phrase) {
+    const author = db.users.findById(phrase.userId);
+    return {
+        id: phrase.id,
+        text: phrase.text,
+        language: phrase.language,
+        category: phrase.category,
+        tags: phrase.tags,
+        author: author ? { id: author.id, username: author.username, name: author.profile.name } : null,
+        copyCount: phrase.copyCount || 0,
+        ratingAverage: phrase.ratingAverage || 0,
+        ratingCount: phrase.ratingCount || 0,
+        publishedAt: phrase.publishedAt
+    };
+}
+
+const LIBRARY_SORTS = {
+    popular: (a, b) => (b.copyCount || 0) - (a.copyCount || 0),
+    rating: (a, b) => (b.ratingAverage || 0) - (a.ratingAverage || 0) || (b.ratingCount || 0) - (a.ratingCount || 0),
+    recent: (a, b) => new Date(b.publishedAt) - new Date(a.publishedAt)
+};
+
+// Copy listed phrases into `user`'s collection, skipping ones they
+// already own or copied before
+async function copyLibraryPhrases(user, sources) {
+    const now = new Date();
+
+    // One lock for the duplicate check, the copies and the counters, so
+    // two concurrent copies of the same phrase cannot both get through
+    const copies = await db.phrases.transaction(store => {
+        const alreadyCopied = new Set(store.filter({ userId: user.id }).map(p => p.copiedFrom).filter(Boolean));
+        const copies = [];
+
+        for (const source of sources) {
+            if (source.userId === user.id || alreadyCopied.has(source.id)) continue;
+
+            copies.push(newPhrase(user, {
+                text: source.text,
+                language: source.language,
+                category: source.category,
+                tags: [...(source.tags || [])],
+                copiedFrom: source.id
+            }, now));
+            alreadyCopied.add(source.id);
+
+            store.update(source.id, p => {
+                p.copyCount = (p.copyCount || 0) + 1;
+                return p;
+            });
+        }
+
+        if (copies.length > 0) store.insertMany(copies);
+        return copies;
+    });
+
+    if (copies.length > 0) await addSavedPhrases(user, copies);
+    return copies;
+}
+
+// Recompute a phrase's rating summary from the ratings collection
+function refreshPhraseRating(phraseId) {
+    return db.phrases.update(phraseId, p => {
+        const ratings = db.phraseRatings.filter({ phraseId });
+        p.ratingCount = ratings.length;
+        p.ratingAverage = ratings.length
+            ? Math.round(ratings.reduce((sum, r) => sum + r.rating, 0) / ratings.length * 100) / 100
+            : 0;
+        return p;
+    });
+}
+
+// ============================================
+// PHRASE IMPORT & EXPORT
+// ============================================
+
+/**
+ * Formats:
+ *   csv  header row with a `text` column; optional language, category,
+ *        tags (separated by ";")
+ *   obf  Open Board Format board (JSON), as used by other AAC apps
+ *   obz  zip of .obf boards plus manifest.json
+ * Spokio-only fields ride along as ext_spokio_* button properties so an
+ * export imports back without losing categories or tags.
+ */
+const OBF_FORMAT = 'open-board-0.1';
+const OBF_COLUMNS = 6;
+const IMPORT_MAX_PHRASES = 2000;
+const IMPORT_MAX_UNZIPPED_BYTES = 20 * 1024 * 1024;
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    obf: { contentType: 'application/json', extension: 'obf' },
+    obz: { contentType: 'application/zip', extension: 'obz' }
+};
+
+// Bad or unreadable upload; reported to the client as a 400
+class ImportFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImportFormatError';
+        this.status = 400;
+    }
+}
+
+// Duplicate detection ignores case and spacing, but not language
+function phraseKey(text, language) {
+    return `${language}|${text.trim().replace(/\s+/g, ' ').toLowerCase()}`;
+}
+
+// "en_us" / "EN-us" -> "en-US"; null when it still isn't a language tag
+function normalizeLocale(locale) {
+    if (!locale || typeof locale !== 'string') return null;
+
+    const [language, ...rest] = locale.replace(/_/g, '-').split('-');
+    const tag = [language.toLowerCase(), ...rest.map(part => (part.length === 2 ? part.toUpperCase() : part))].join('-');
+    return FIELDS.language.pattern.test(tag) ? tag : null;
+}
+
+// OBF colors are CSS rgb()/rgba() strings
+function hexToRgb(color) {
+    if (!color) return undefined;
+
+    let hex = color.slice(1);
+    if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+
+    const [r, g, b, a] = hex.match(/../g).map(pair => parseInt(pair, 16));
+    return a === undefined ? `rgb(${r}, ${g}, ${b})` : `rgba(${r}, ${g}, ${b}, ${Math.round(a / 255 * 100) / 100})`;
+}
+
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function phrasesToCsv(phrases) {
+    const rows = [['text', 'language', 'category', 'tags']];
+    phrases.forEach(p => rows.push([p.text, p.language, p.category, (p.tags || []).join(';')]));
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// RFC 4180: quoted fields may hold commas, newlines and "" escapes
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const input = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) throw new ImportFormatError('CSV has an unterminated quoted field');
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+function csvToEntries(text) {
+    const [header, ...rows] = parseCsv(text);
+    const columns = (header || []).map(name => name.trim().toLowerCase());
+
+    if (!columns.includes('text')) {
+        throw new ImportFormatError('CSV needs a header row with a "text" column');
+    }
+
+    return rows.map((values, index) => {
+        const record = {};
+        columns.forEach((name, i) => {
+            record[name] = (values[i] || '').trim();
+        });
+        return {
+            source: `row ${index + 2}`,
+            text: record.text,
+            language: normalizeLocale(record.language),
+            category: record.category || null,
+            tags: record.tags ? record.tags.split(';').map(tag => tag.trim()).filter(Boolean) : []
+        };
+    });
+}
+
+// Spoken buttons become phrases; buttons that only open another board are skipped
+function obfToEntries(board, source) {
+    if (!board || typeof board !== 'object' || !Array.isArray(board.buttons)) {
+        throw new ImportFormatError(`${source} is not an Open Board Format board`);
+    }
+
+    const language = normalizeLocale(board.locale);
+    return board.buttons
+        .filter(button => button && (button.vocalization || (button.label && !button.load_board)))
+        .map(button => ({
+            source: `${source} button ${button.id}`,
+            text: String(button.vocalization || button.label).trim(),
+            language,
+            category: button.ext_spokio_category || board.name || null,
+            tags: Array.isArray(button.ext_spokio_tags) ? button.ext_spokio_tags : []
+        }));
+}
+
+function parseJsonBoard(text, source) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new ImportFormatError(`${source} is not valid JSON`);
+    }
+}
+
+function obzToEntries(buffer) {
+    let zip;
+    try {
+        zip = new AdmZip(buffer);
+    } catch (error) {
+        throw new ImportFormatError('Upload is not a valid .obz (zip) file');
+    }
+
+    const files = zip.getEntries().filter(entry => !entry.isDirectory);
+
+    // Sizes in the zip headers are whatever the archive claims, so count
+    // the bytes actually inflated and stop as soon as they pass the cap
+    let remaining = IMPORT_MAX_UNZIPPED_BYTES;
+    const tooLarge = () => new ImportFormatError('Archive is too large once unpacked');
+    const inflate = entry => {
+        const data = entry.getCompressedData();
+        let output;
+        if (entry.header.method === 0) {
+            output = data;
+        } else if (entry.header.method === 8) {
+            try {
+                output = zlib.inflateRawSync(data, { maxOutputLength: remaining + 1 });
+            } catch (error) {
+                if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+                throw new ImportFormatError(`Archive entry ${entry.entryName} is corrupt`);
+            }
+        } else {
+            throw new ImportFormatError(`Archive entry ${entry.entryName} uses an unsupported compression method`);
+        }
+
+        if (output.length > remaining) throw tooLarge();
+        remaining -= output.length;
+        return output;
+    };
+
+    const read = name => {
+        const entry = zip.getEntry(name);
+        return entry ? inflate(entry).toString('utf8') : null;
+    };
+
+    // The manifest lists the boards; without one, take every .obf file
+    const manifestText = read('manifest.json');
+    const paths = manifestText
+        ? Object.values((parseJsonBoard(manifestText, 'manifest.json').paths || {}).boards || {})
+        : files.map(entry => entry.entryName).filter(name => name.endsWith('.obf'));
+
+    if (paths.length === 0) {
+        throw new ImportFormatError('Archive contains no boards');
+    }
+
+    return paths.flatMap(boardPath => {
+        const text = read(boardPath);
+        if (text === null) throw new ImportFormatError(`Archive is missing ${boardPath}`);
+        return obfToEntries(parseJsonBoard(text, boardPath), boardPath);
+    });
+}
+
+// Pick the format from ?format=, else from the upload's Content-Type
+function detectImportFormat(req) {
+    if (req.query.format) return req.query.format;
+    if (req.is('text/csv') || req.is('text/plain')) return 'csv';
+    if (req.is('application/json')) return 'obf';
+    return 'obz';
+}
+
+function parseImport(format, body) {
+    const text = Buffer.isBuffer(body) ? body.toString('utf8') : body;
+
+    switch (format) {
+        case 'csv':
+            if (typeof text !== 'string') throw new ImportFormatError('Send CSV as text/csv');
+            return csvToEntries(text);
+        case 'obf':
+            return obfToEntries(typeof text === 'string' ? parseJsonBoard(text, 'Board') : text, 'board');
+        case 'obz':
+            if (!Buffer.isBuffer(body)) throw new ImportFormatError('Send .obz files as application/zip');
+            return obzToEntries(body);
+        default:
+            throw new ImportFormatError(`Unknown import format "${format}"`);
+    }
+}
+
+/**
+ * Sort parsed entries into new phrases, duplicates (of the user's
+ * phrases or of an earlier entry in the same file) and invalid entries.
+ * A `language` or `category` given with the request wins over the file's.
+ */
+function planImport(user, entries, { language, category }) {
+    const existing = new Set(db.phrases.filter({ userId: user.id }).map(p => phraseKey(p.text, p.language || DEFAULT_LANGUAGE)));
+    const seen = new Set();
+    const plan = { phrases: [], duplicates: [], invalid: [] };
+
+    entries.forEach(entry => {
+        if (!category && entry.category !== undefined && entry.category !== null && typeof entry.category !== 'string') {
+            plan.invalid.push({ source: entry.source, text: String(entry.text || ''), message: 'category must be a string' });
+            return;
+        }
+
+        const phrase = {
+            text: entry.text || '',
+            language: language || entry.language || userLanguage(user),
+            category: category || entry.category || 'imported',
+            tags: (Array.isArray(entry.tags) ? entry.tags : []).map(String).filter(tag => tag.length <= 50).slice(0, 20)
+        };
+
+        const errors = validate(SCHEMAS.createPhrase.body.text, phrase.text, 'text');
+        if (errors.length > 0 || !phrase.text.trim()) {
+            plan.invalid.push({ source: entry.source, text: phrase.text, message: errors.length ? `text ${errors[0].message}` : 'text is empty' });
+            return;
+        }
+
+        const key = phraseKey(phrase.text, phrase.language);
+        if (existing.has(key) || seen.has(key)) {
+            plan.duplicates.push({ source: entry.source, text: phrase.text, language: phrase.language, reason: existing.has(key) ? 'existing' : 'file' });
+            return;
+        }
+
+        seen.add(key);
+        plan.phrases.push({ ...phrase, category: phrase.category.slice(0, 50) });
+    });
+
+    return plan;
+}
+
+function obfButtonForPhrase(phrase) {
+    return {
+        id: phrase.id,
+        label: phrase.text,
+        vocalization: phrase.text,
+        ext_spokio_category: phrase.category,
+        ext_spokio_tags: phrase.tags || []
+    };
+}
+
+// Lay buttons out row by row in a grid `columns` wide
+function obfBoard({ id, name, locale, buttons, images = [], rows, columns = OBF_COLUMNS, order }) {
+    const gridRows = rows || Math.max(1, Math.ceil(buttons.length / columns));
+    const grid = order || Array.from({ length: gridRows }, (_, row) =>
+        Array.from({ length: columns }, (_, column) => {
+            const button = buttons[row * columns + column];
+            return button ? button.id : null;
+        }));
+
+    return {
+        format: OBF_FORMAT,
+        id,
+        locale,
+        name,
+        buttons,
+        grid: { rows: gridRows, columns, order: grid },
+        images,
+        sounds: []
+    };
+}
+
+// One OBF board per grid (the board and each folder) of a Spokio board
+function spokioBoardToObf(board) {
+    const phrases = boardPhrases(board);
+
+    return [board, ...board.folders].map(container => {
+        const buttons = [];
+        const images = [];
+        const order = Array.from({ length: container.rows }, () => Array(container.columns).fill(null));
+
+        container.cells.forEach(cell => {
+            const phrase = cell.type === 'phrase' ? phrases[cell.phraseId] : null;
+            if (cell.type === 'phrase' && !phrase) return;
+
+            const button = phrase
+                ? { ...obfButtonForPhrase(phrase), id: cell.id, label: cell.label || phrase.text }
+                : { id: cell.id, label: cell.label, load_board: { id: cell.folderId, path: `boards/${cell.folderId}.obf` } };
+
+            if (cell.color) button.background_color = hexToRgb(cell.color);
+            if (cell.icon) button.ext_spokio_icon = cell.icon;
+            if (cell.symbol && /^https?:\/\//.test(cell.symbol)) {
+                images.push({ id: `image-${cell.id}`, url: cell.symbol });
+                button.image_id = `image-${cell.id}`;
+            }
+
+            buttons.push(button);
+            order[cell.row][cell.column] = cell.id;
+        });
+
+        return obfBoard({
+            id: container.id,
+            name: container.name,
+            locale: board.language,
+            buttons,
+            images,
+            rows: container.rows,
+            columns: container.columns,
+            order
+        });
+    });
+}
+
+// Without a Spokio board: a root board with one folder button per category
+function phrasesToObf(phrases, locale) {
+    const byCategory = new Map();
+    phrases.forEach(p => {
+        if (!byCategory.has(p.category)) byCategory.set(p.category, []);
+        byCategory.get(p.category).push(p);
+    });
+
+    const categoryBoards = [...byCategory.entries()].map(([category, items], index) => obfBoard({
+        id: `category-${index + 1}`,
+        name: category,
+        locale,
+        buttons: items.map(obfButtonForPhrase)
+    }));
+
+    const root = obfBoard({
+        id: 'root',
+        name: 'Spokio phrases',
+        locale,
+        buttons: categoryBoards.map(b => ({ id: `open-${b.id}`, label: b.name, load_board: { id: b.id, path: `boards/${b.id}.obf` } }))
+    });
+
+    return [root, ...categoryBoards];
+}
+
+function zipBoards(boards) {
+    const zip = new AdmZip();
+    const paths = {};
+
+    boards.forEach(board => {
+        paths[board.id] = `boards/${board.id}.obf`;
+        zip.addFile(paths[board.id], Buffer.from(JSON.stringify(board, null, 2)));
+    });
+
+    const manifest = { format: OBF_FORMAT, root: paths[boards[0].id], paths: { boards: paths, images: {}, sounds: {} } };
+    zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+    return zip.toBuffer();
+}
+
+// { body, name } for a download of the user's phrases or one of their boards
+function buildExport(format, { board, phrases, locale }) {
+    if (format === 'csv') {
+        return { body: phrasesToCsv(board ? Object.values(boardPhrases(board)) : phrases), name: board ? board.name : 'phrases' };
+    }
+
+    if (board) {
+        const boards = spokioBoardToObf(board);
+        return { body: format === 'obz' ? zipBoards(boards) : JSON.stringify(boards[0], null, 2), name: board.name };
+    }
+
+    // A single .obf has no room for category folders, so it is one flat board
+    const boards = format === 'obz'
+        ? phrasesToObf(phrases, locale)
+        : [obfBoard({ id: 'phrases', name: 'Spokio phrases', locale, buttons: phrases.map(obfButtonForPhrase) })];
+    return { body: format === 'obz' ? zipBoards(boards) : JSON.stringify(boards[0], null, 2), name: 'phrases' };
+}
+
+// ============================================
+// SEARCH
+// ============================================
+
+/**
+ * In-process inverted index over phrases, groups and messages. Built on
+ * the first search, then kept current through repository write events.
+ * Terms are folded (case, Latin accents) and stemmed per language;
+ * queries tolerate typos by edit distance and match the last word as a
+ * prefix. Results are ranked with BM25, scaled by how many query words
+ * they match.
+ */
+const SEARCH_SCOPES = ['phrases', 'library', 'groups', 'messages'];
+const SEARCH_DEFAULT_SCOPES = ['phrases', 'groups', 'messages'];
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Light suffix stripping. Index and query go through the same stemmer,
+// so stems only need to be consistent, not real words.
+const STEM_SUFFIXES = {
+    es: ['amientos', 'imientos', 'amiento', 'imiento', 'aciones', 'uciones', 'ación', 'ución', 'mente', 'ando', 'iendo',
+        'ados', 'idos', 'adas', 'idas', 'ado', 'ido', 'ada', 'ida', 'ar', 'er', 'ir', 'es', 'as', 'os', 's', 'a', 'o', 'e'],
+    pt: ['amentos', 'imentos', 'amento', 'imento', 'ações', 'ação', 'mente', 'ando', 'endo', 'indo',
+        'ados', 'idos', 'adas', 'idas', 'ado', 'ido', 'ada', 'ida', 'ar', 'er', 'ir', 'es', 'as', 'os', 's', 'a', 'o', 'e'],
+    fr: ['issements', 'issement', 'ations', 'ation', 'ements', 'ement', 'euses', 'euse', 'eux', 'ités', 'ité',
+        'ables', 'able', 'ants', 'ant', 'ées', 'ée', 'és', 'é', 'er', 'ir', 'es', 's', 'e'],
+    de: ['ungen', 'heiten', 'keiten', 'ung', 'heit', 'keit', 'lich', 'isch', 'ern', 'em', 'en', 'er', 'es', 'e', 's', 'n']
+};
+Object.values(STEM_SUFFIXES).forEach(list => list.sort((a, b) => b.length - a.length));
+
+function stemEnglish(word) {
+    let w = word.replace(/'s$/, '');
+    if (w.length <= 3) return w;
+
+    if (/ies$/.test(w) && w.length > 4) w = `${w.slice(0, -3)}y`;
+    else if (/(ss|sh|ch|x|z)es$/.test(w)) w = w.slice(0, -2);
+    else if (/[^su]s$/.test(w)) w = w.slice(0, -1);
+
+    const base = w.replace(/(ing|ed)$/, '');
+    if (base !== w && base.length >= 3 && /[aeiouy]/.test(base)) {
+        w = /(bb|dd|ff|gg|mm|nn|pp|rr|tt)$/.test(base) ? base.slice(0, -1) : base;
+    }
+
+    w = w.replace(/(?<=.{3})(ness|ment|ful|ly)$/, '');
+    return w.length > 3 ? w.replace(/e$/, '') : w;
+}
+
+function stem(word, language) {
+    const base = (language || DEFAULT_LANGUAGE).split('-')[0].toLowerCase();
+    if (base === 'en') return stemEnglish(word);
+
+    const suffixes = STEM_SUFFIXES[base];
+    if (!suffixes) return word;
+
+    const suffix = suffixes.find(s => word.endsWith(s) && word.length - s.length >= 3);
+    return suffix ? word.slice(0, -suffix.length) : word;
+}
+
+// Drop accents from Latin letters only; marks are part of the letter in
+// scripts such as Devanagari
+function foldTerm(word) {
+    return word.normalize('NFD').replace(/(\p{Script=Latin})\p{M}+/gu, '$1').normalize('NFC');
+}
+
+function searchTerms(text, language) {
+    return tokenize(text, language).map(token => stem(foldTerm(token), language));
+}
+
+// Optimal string alignment distance, giving up once it exceeds `max`
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], prevPrev[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = current;
+    }
+    return prev[b.length];
+}
+
+function allowedTypos(term) {
+    if (term.length >= 8) return 2;
+    if (term.length >= 4) return 1;
+    return 0;
+}
+
+class SearchIndex {
+    constructor() {
+        this.docs = new Map();
+        this.postings = new Map();
+        this.totalLength = 0;
+    }
+
+    // doc: { key, fields: [{ text, boost }], language, ...metadata }
+    add(doc) {
+        this.remove(doc.key);
+
+        const frequencies = new Map();
+        let length = 0;
+        doc.fields.forEach(({ text, boost = 1 }) => {
+            searchTerms(text, doc.language).forEach(term => {
+                frequencies.set(term, (frequencies.get(term) || 0) + boost);
+                length += 1;
+            });
+        });
+
+        frequencies.forEach((tf, term) => {
+            if (!this.postings.has(term)) this.postings.set(term, new Map());
+            this.postings.get(term).set(doc.key, tf);
+        });
+
+        const { fields, ...meta } = doc;
+        this.docs.set(doc.key, { ...meta, terms: [...frequencies.keys()], length });
+        this.totalLength += length;
+    }
+
+    remove(key) {
+        const doc = this.docs.get(key);
+        if (!doc) return;
+
+        doc.terms.forEach(term => {
+            const postings = this.postings.get(term);
+            postings.delete(key);
+            if (postings.size === 0) this.postings.delete(term);
+        });
+        this.docs.delete(key);
+        this.totalLength -= doc.length;
+    }
+
+    // Index terms a query term should match, with a weight for how close
+    expand(term, isPrefix) {
+        const matches = new Map();
+        if (this.postings.has(term)) matches.set(term, 1);
+
+        const maxTypos = allowedTypos(term);
+        if (maxTypos === 0 && !(isPrefix && term.length >= 2)) return matches;
+
+        for (const candidate of this.postings.keys()) {
+            if (matches.has(candidate)) continue;
+
+            if (isPrefix && candidate.startsWith(term)) {
+                matches.set(candidate, 0.7);
+                continue;
+            }
+            if (maxTypos > 0) {
+                const distance = editDistance(term, candidate, maxTypos);
+                if (distance <= maxTypos) matches.set(candidate, distance === 1 ? 0.6 : 0.35);
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * `query` is a list of alternatives per query word, e.g.
+     * [['running', 'run'], ['shoe']]. `accept(doc)` filters documents.
+     * Returns [{ key, score, matched }] best first.
+     */
+    search(query, accept) {
+        const docCount = this.docs.size || 1;
+        const averageLength = this.totalLength / docCount || 1;
+        const accepted = new Map();
+        const isAccepted = key => {
+            if (!accepted.has(key)) accepted.set(key, accept(this.docs.get(key)));
+            return accepted.get(key);
+        };
+
+        const scores = new Map();
+        query.forEach((alternatives, index) => {
+            const isPrefix = index === query.length - 1;
+            const best = new Map();
+
+            alternatives.forEach(alternative => {
+                this.expand(alternative, isPrefix).forEach((weight, term) => {
+                    const postings = this.postings.get(term);
+                    const idf = Math.log(1 + (docCount - postings.size + 0.5) / (postings.size + 0.5));
+
+                    postings.forEach((tf, key) => {
+                        if (!isAccepted(key)) return;
+                        const norm = 1 - BM25_B + BM25_B * this.docs.get(key).length / averageLength;
+                        const score = weight * idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm);
+                        if (score > (best.get(key) || { score: 0 }).score) best.set(key, { score, term });
+                    });
+                });
+            });
+
+            best.forEach(({ score, term }, key) => {
+                const entry = scores.get(key) || { score: 0, matched: [] };
+                entry.score += score;
+                entry.matched.push(term);
+                scores.set(key, entry);
+            });
+        });
+
+        return [...scores.entries()]
+            .map(([key, { score, matched }]) => ({
+                key,
+                // Documents matching every query word rank above partial matches
+                score: score * (matched.length / query.length) ** 2,
+                matched
+            }))
+            .sort((a, b) => b.score - a.score);
+    }
+}
+
+// Index documents for each searchable collection
+const SEARCH_DOCUMENTS = {
+    phrases: phrase => ({
+        key: `phrase:${phrase.id}`,
+        type: 'phrase',
+        id: phrase.id,
+        language: phrase.language || DEFAULT_LANGUAGE,
+        fields: [{ text: phrase.text }, { text: (phrase.tags || []).join(' '), boost: 2 }, { text: phrase.category }],
+        ownerId: phrase.userId,
+        tags: (phrase.tags || []).map(tag => tag.toLowerCase()),
+        listed: isListed(phrase)
+    }),
+    groups: group => ({
+        key: `group:${group.id}`,
+        type: 'group',
+        id: group.id,
+        language: group.language || DEFAULT_LANGUAGE,
+        fields: [{ text: group.name, boost: 3 }, { text: group.description }, { text: group.category }],
+        isPublic: group.isPublic
+    }),
+    messages: message => {
+        const group = db.groups.findById(message.groupId);
+        return {
+            key: `message:${message.id}`,
+            type: 'message',
+            id: message.id,
+            language: (group && group.language) || DEFAULT_LANGUAGE,
+            fields: [{ text: message.content }],
+            groupId: message.groupId
+        };
+    },
+    directMessages: message => ({
+        key: `directMessage:${message.id}`,
+        type: 'directMessage',
+        id: message.id,
+        language: userLanguage(db.users.findById(message.sender)),
+        fields: [{ text: message.content }],
+        participants: [message.sender, message.recipient]
+    })
+};
+
+const searchIndex = new SearchIndex();
+let searchIndexBuilt = false;
+
+function ensureSearchIndex() {
+    if (searchIndexBuilt) return searchIndex;
+
+    Object.entries(SEARCH_DOCUMENTS).forEach(([collection, toDocument]) => {
+        db[collection].all().forEach(record => searchIndex.add(toDocument(record)));
+    });
+    searchIndexBuilt = true;
+    return searchIndex;
+}
+
+Object.entries(SEARCH_DOCUMENTS).forEach(([collection, toDocument]) => {
+    db[collection].subscribe((event, record) => {
+        if (!searchIndexBuilt) return;
+
+        if (event === 'remove') {
+            searchIndex.remove(toDocument(record).key);
+        } else {
+            searchIndex.add(toDocument(record));
+        }
+    });
+});
+
+// What a search hit returns for each document type, or null when the
+// user may not see it (checked against the live record)
+function searchResult(doc, user) {
+    switch (doc.type) {
+        case 'phrase': {
+            const phrase = db.phrases.findById(doc.id);
+            if (!phrase) return null;
+            if (phrase.userId === user.id) return phrase;
+            return isListed(phrase) ? libraryEntry(phrase) : null;
+        }
+        case 'group': {
+            const group = db.groups.findById(doc.id);
+            return group && (group.isPublic || group.members.includes(user.id)) ? group : null;
+        }
+        case 'message': {
+            const message = db.messages.findById(doc.id);
+            const group = message && db.groups.findById(message.groupId);
+            return group && group.members.includes(user.id) ? message : null;
+        }
+        case 'directMessage': {
+            const message = db.directMessages.findById(doc.id);
+            return message && (message.sender === user.id || message.recipient === user.id) ? message : null;
+        }
+        default:
+            return null;
+    }
+}
+
+// Cheap pre-filter on index metadata; searchResult() has the final say
+function searchFilter(user, scopes, tags) {
+    const memberOf = new Set(db.groups.filter(g => g.members.includes(user.id)).map(g => g.id));
+
+    return doc => {
+        if (tags.length > 0 && !(doc.tags && tags.every(tag => doc.tags.includes(tag)))) return false;
+
+        switch (doc.type) {
+            case 'phrase':
+                return (scopes.includes('phrases') && doc.ownerId === user.id) ||
+                    (scopes.includes('library') && doc.listed && doc.ownerId !== user.id);
+            case 'group':
+                return scopes.includes('groups') && (doc.isPublic || memberOf.has(doc.id));
+            case 'message':
+                return scopes.includes('messages') && memberOf.has(doc.groupId);
+            case 'directMessage':
+                return scopes.includes('messages') && doc.participants.includes(user.id);
+            default:
+                return false;
+        }
+    };
+}
+
+// Each query word is tried stemmed for the query language and as typed
+function parseSearchQuery(text, language) {
+    return tokenize(text, language).map(token => {
+        const folded = foldTerm(token);
+        return [...new Set([stem(folded, language), folded])];
+    });
+}
+
+// ============================================
+// USAGE ANALYTICS
+// ============================================
+
+/**
+ * Every phrase use is stored as an event with the channel it went out on
+ * and the context it was used in. Events keep a copy of the phrase text
+ * and category, so reports survive later edits and deletions.
+ */
+const USAGE_CHANNELS = ['spoken', 'board', 'group', 'direct', 'suggestion'];
+const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+const ANALYTICS_DEFAULT_DAYS = 30;
+
+function recordPhraseUse(userId, phrase, channel, context) {
+    return db.phraseEvents.insert({
+        id: generateId(),
+        userId,
+        phraseId: phrase.id,
+        text: phrase.text,
+        category: phrase.category,
+        language: phrase.language || DEFAULT_LANGUAGE,
+        channel,
+        context: {
+            timeOfDay: context.timeOfDay,
+            dayOfWeek: context.dayOfWeek,
+            location: context.location,
+            groupId: context.groupId,
+            partnerId: context.partnerId
+        },
+        createdAt: new Date()
+    });
+}
+
+// A group or direct message sent from one of the sender's saved phrases
+// (`phraseId`) counts as a use of it
+async function recordSentPhrase(userId, phraseId, channel, conversation) {
+    if (!phraseId) return;
+
+    const existing = db.phrases.findById(phraseId);
+    if (!existing || existing.userId !== userId) return;
+
+    const phrase = await db.phrases.update(phraseId, p => {
+        p.usageCount += 1;
+        p.lastUsed = new Date();
+        return p;
+    });
+
+    const { resolved } = buildSuggestionContext(userId, conversation, phrase.language || DEFAULT_LANGUAGE);
+    await recordPhraseUse(userId, phrase, channel, resolved);
+}
+
+// Reporting window from ?from=&to=, defaulting to the last 30 days
+function analyticsWindow({ from, to }) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - ANALYTICS_DEFAULT_DAYS * DAY_MS);
+    return { start, end };
+}
+
+/**
+ * Label of the period `date` falls in, in the user's local time.
+ * `timezoneOffset` follows Date#getTimezoneOffset (minutes behind UTC).
+ * Weeks start on Monday and are labelled by that day.
+ */
+function periodLabel(date, interval, timezoneOffset = 0) {
+    const local = new Date(new Date(date).getTime() - timezoneOffset * 60 * 1000);
+
+    if (interval === 'week') {
+        local.setUTCDate(local.getUTCDate() - ((local.getUTCDay() + 6) % 7));
+    }
+    const iso = local.toISOString();
+    return interval === 'month' ? iso.slice(0, 7) : iso.slice(0, 10);
+}
+
+// Every period label between start and end, so empty periods show as zero
+function periodLabels(start, end, interval, timezoneOffset) {
+    const labels = [];
+    const cursor = new Date(start);
+
+    while (cursor <= end) {
+        const label = periodLabel(cursor, interval, timezoneOffset);
+        if (labels[labels.length - 1] !== label) labels.push(label);
+        cursor.setTime(cursor.getTime() + DAY_MS);
+    }
+
+    const last = periodLabel(end, interval, timezoneOffset);
+    if (labels[labels.length - 1] !== last) labels.push(last);
+    return labels;
+}
+
+function usageEvents(userId, { start, end, channel, category, phraseId }) {
+    return db.phraseEvents
+        .filter({ userId })
+        .filter(e => {
+            const at = new Date(e.createdAt);
+            return at >= start && at <= end &&
+                (!channel || e.channel === channel) &&
+                (!category || e.category === category) &&
+                (!phraseId || e.phraseId === phraseId);
+        });
+}
+
+// Phrases by use count, most used first
+function topPhrases(events, limit) {
+    const counts = new Map();
+    events.forEach(e => {
+        const entry = counts.get(e.phraseId) || { phraseId: e.phraseId, text: e.text, category: e.category, count: 0 };
+        entry.count += 1;
+        // Report the wording as most recently used
+        entry.text = e.text;
+        counts.set(e.phraseId, entry);
+    });
+    return [...counts.values()].sort((a, b) => b.count - a.count).slice(0, limit);
+}
+
+// ============================================
+// TEXT-TO-SPEECH
+// ============================================
+
+/**
+ * TTS providers implement:
+ *   name, format                               provider id; { contentType, extension } of the audio
+ *   listVoices()                               -> Promise<[voice]>, see VOICE REGISTRY
+ *   synthesize({ text, voice, rate, pitch })   -> Promise<Buffer>
+ * `rate` and `pitch` use the voicePreferences scale (1 = normal).
+ * Pick one with TTS_PROVIDER; add engines to TTS_PROVIDERS.
+ */
+const TTS_TIMEOUT_MS = 15000;
+const TTS_CACHE_DIR = process.env.TTS_CACHE_DIR || path.join(DATA_DIR, 'tts-cache');
+const TTS_CACHE_MAX_BYTES = (parseInt(process.env.TTS_CACHE_MAX_MB, 10) || 200) * 1024 * 1024;
+
+// Engine missing or failing; reported to the client as a 503
+class TtsUnavailableError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TtsUnavailableError';
+        this.status = 503;
+    }
+}
+
+// espeak-ng voice names for the languages we ship seed packs for. Used
+// when `espeak-ng --voices` cannot be run, and to map espeak-ng's own
+// codes (e.g. "cmn") back to our language tags.
+const ESPEAK_VOICES = {
+    'en-US': 'en-us',
+    'es-ES': 'es',
+    'fr-FR': 'fr-fr',
+    'de-DE': 'de',
+    'pt-BR': 'pt-br',
+    'hi-IN': 'hi',
+    'zh-CN': 'cmn',
+    'ja-JP': 'ja',
+    'ar-SA': 'ar'
+};
+
+// Run a speech engine's command line tool with `input` on stdin and
+// resolve with its stdout. A missing binary, a non-zero exit or running
+// past `timeoutMs` rejects with `UnavailableError`.
+function runSpeechEngine(command, args, input, timeoutMs, UnavailableError) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+        const chunks = [];
+        let stderr = '';
+
+        const timer = setTimeout(() => {
+            child.kill('SIGKILL');
+            reject(new UnavailableError('Speech engine timed out'));
+        }, timeoutMs);
+
+        child.stdout.on('data', chunk => chunks.push(chunk));
+        child.stderr.on('data', chunk => {
+            stderr += chunk;
+        });
+        child.on('error', error => {
+            clearTimeout(timer);
+            reject(new UnavailableError(error.code === 'ENOENT'
+                ? `Speech engine "${command}" is not installed`
+                : `Speech engine failed: ${error.message}`));
+        });
+        child.on('close', code => {
+            clearTimeout(timer);
+            if (code !== 0) {
+                return reject(new UnavailableError(`Speech engine exited with code ${code}: ${stderr.trim()}`));
+            }
+            resolve(Buffer.concat(chunks));
+        });
+
+        child.stdin.on('error', () => {});
+        child.stdin.end(input);
+    });
+}
+
+// Offline synthesis with the espeak-ng command line tool. Text goes in
+// on stdin so it can never be read as an option.
+class EspeakTtsProvider {
+    constructor(command) {
+        this.name = 'espeak-ng';
+        this.format = { contentType: 'audio/wav', extension: 'wav' };
+        this.command = command;
+    }
+
+    // espeak-ng speaks 80-450 words per minute; 175 is rate 1
+    voiceEntry({ code, name, language, gender }) {
+        return {
+            id: `espeak-ng:${code}`,
+            name,
+            language,
+            gender,
+            age: null,
+            sampleUrl: `/api/voices/${encodeURIComponent(`espeak-ng:${code}`)}/sample`,
+            rates: { min: 0.5, max: 2.5, default: 1 },
+            provider: this.name
+        };
+    }
+
+    async listVoices() {
+        const languages = new Map(Object.entries(ESPEAK_VOICES).map(([language, code]) => [code, language]));
+
+        try {
+            const output = await this.run(['--voices'], '');
+            // Columns: Pty Language Age/Gender VoiceName File [Other languages]
+            return output.toString('utf8')
+                .split('\n')
+                .slice(1)
+                .map(line => line.trim().split(/\s+/))
+                .filter(columns => columns.length >= 5)
+                .map(([, code, ageGender, name]) => this.voiceEntry({
+                    code,
+                    name: name.replace(/_/g, ' '),
+                    language: languages.get(code) || normalizeLocale(code) || code,
+                    gender: { M: 'male', F: 'female' }[ageGender.split('/')[1]] || null
+                }));
+        } catch (error) {
+            console.error('Error listing espeak-ng voices:', error.message);
+            return [...languages.entries()].map(([code, language]) => this.voiceEntry({
+                code,
+                name: `eSpeak NG ${language}`,
+                language,
+                gender: null
+            }));
+        }
+    }
+
+    synthesize({ text, voice, rate, pitch }) {
+        return this.run([
+            '--stdout',
+            '--stdin',
+            '-v', voice.id.replace(/^espeak-ng:/, ''),
+            '-s', String(Math.min(450, Math.max(80, Math.round(175 * rate)))),
+            '-p', String(Math.min(99, Math.max(0, Math.round(pitch * 50))))
+        ], text);
+    }
+
+    run(args, input) {
+        return runSpeechEngine(this.command, args, input, TTS_TIMEOUT_MS, TtsUnavailableError);
+    }
+}
+
+const TTS_PROVIDERS = {
+    'espeak-ng': () => new EspeakTtsProvider(process.env.ESPEAK_NG_PATH || 'espeak-ng')
+};
+
+function createTtsProvider(name) {
+    const factory = TTS_PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown TTS_PROVIDER "${name}" (expected one of: ${Object.keys(TTS_PROVIDERS).join(', ')})`);
+    }
+    return factory();
+}
+
+const ttsProvider = createTtsProvider((process.env.TTS_PROVIDER || 'espeak-ng').toLowerCase());
+
+/**
+ * Content-addressed audio cache: the file name is a hash of everything
+ * that affects the audio, so identical requests share one file and a
+ * changed voice or rate never serves stale audio.
+ */
+function ttsCacheKey({ text, voice, rate, pitch }) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([ttsProvider.name, voice.id, rate, pitch, text]))
+        .digest('hex');
+}
+
+function ttsCachePath(key, extension) {
+    return path.join(TTS_CACHE_DIR, key.slice(0, 2), `${key}.${extension}`);
+}
+
+function readTtsCache(key, extension) {
+    const filePath = ttsCachePath(key, extension);
+    if (!fs.existsSync(filePath)) return null;
+
+    // Touch so pruning keeps recently played audio
+    const now = new Date();
+    fs.utimesSync(filePath, now, now);
+    return fs.readFileSync(filePath);
+}
+
+// Bytes in the cache, counted by one scan on the first write and kept up
+// to date after, so the directory is only walked again to prune it
+let ttsCacheBytes = null;
+
+function writeTtsCache(key, extension, audio) {
+    const filePath = ttsCachePath(key, extension);
+    const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, audio);
+
+    // Two misses for the same text both write it; count only the change
+    const replacedBytes = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    fs.renameSync(tmpPath, filePath);
+
+    ttsCacheBytes = ttsCacheBytes === null
+        ? ttsCacheFiles().reduce((sum, f) => sum + f.size, 0)
+        : ttsCacheBytes + audio.length - replacedBytes;
+    if (ttsCacheBytes > TTS_CACHE_MAX_BYTES) pruneTtsCache();
+}
+
+function ttsCacheFiles() {
+    return fs.readdirSync(TTS_CACHE_DIR)
+        .flatMap(dir => fs.readdirSync(path.join(TTS_CACHE_DIR, dir)).map(file => path.join(TTS_CACHE_DIR, dir, file)))
+        .map(filePath => ({ filePath, ...fs.statSync(filePath) }));
+}
+
+function pruneTtsCache() {
+    const files = ttsCacheFiles();
+
+    let total = files.reduce((sum, f) => sum + f.size, 0);
+    files
+        .sort((a, b) => a.mtimeMs - b.mtimeMs)
+        .forEach(f => {
+            if (total <= TTS_CACHE_MAX_BYTES) return;
+            fs.rmSync(f.filePath, { force: true });
+            total -= f.size;
+        });
+    ttsCacheBytes = total;
+}
+
+/**
+ * Render `text`, going through the cache when `cache` is set. Only saved
+ * phrases are cached: free text stays off disk.
+ */
+async function synthesizeSpeech({ text, voice, rate, pitch, cache }) {
+    const key = ttsCacheKey({ text, voice, rate, pitch });
+    const { contentType, extension } = ttsProvider.format;
+
+    if (cache) {
+        const cached = readTtsCache(key, extension);
+        if (cached) return { audio: cached, contentType, key, cached: true };
+    }
+
+    const audio = await ttsProvider.synthesize({ text, voice, rate, pitch });
+    if (cache) writeTtsCache(key, extension, audio);
+    return { audio, contentType, key, cached: false };
+}
+
+// ============================================
+// VOICE REGISTRY
+// ============================================
+
+/**
+ * Voices come from providers (each implements listVoices()) plus each
+ * user's custom voice profiles. A voice is:
+ *   { id, name, language, gender, age, sampleUrl,
+ *     rates: { min, max, default }, provider }
+ * Provider catalogs are cached for VOICE_REFRESH_MS.
+ */
+const VOICE_REFRESH_MS = (parseInt(process.env.VOICE_REFRESH_MINUTES, 10) || 60) * 60 * 1000;
+const CUSTOM_VOICE_LIMIT = 20;
+const VOICE_GENDERS = ['female', 'male', 'neutral'];
+const VOICE_AGES = ['child', 'teen', 'adult', 'senior'];
+
+class VoiceRegistry {
+    constructor(providers) {
+        this.providers = providers;
+        this.voices = [];
+        this.loadedAt = 0;
+        this.loading = null;
+    }
+
+    async refresh() {
+        const catalogs = await Promise.all(this.providers.map(provider =>
+            provider.listVoices().catch(error => {
+                console.error(`Error listing ${provider.name} voices:`, error.message);
+                return [];
+            })
+        ));
+        this.voices = catalogs.flat();
+        this.loadedAt = Date.now();
+        return this.voices;
+    }
+
+    async providerVoices() {
+        if (Date.now() - this.loadedAt > VOICE_REFRESH_MS) {
+            // Concurrent callers share one refresh
+            this.loading = this.loading || this.refresh().finally(() => {
+                this.loading = null;
+            });
+            await this.loading;
+        }
+        return this.voices;
+    }
+
+    // Every voice `userId` may pick: provider voices and their own profiles
+    async forUser(userId) {
+        const custom = db.customVoices.filter({ userId }).map(customVoiceEntry);
+        return [...await this.providerVoices(), ...custom];
+    }
+
+    async find(id, userId) {
+        return (await this.forUser(userId)).find(v => v.id === id) || null;
+    }
+}
+
+const voiceRegistry = new VoiceRegistry([ttsProvider]);
+
+function customVoiceEntry(profile) {
+    const id = `custom:${profile.id}`;
+    return {
+        id,
+        name: profile.name,
+        language: profile.language,
+        gender: profile.gender || null,
+        age: profile.age || null,
+        sampleUrl: `/api/voices/${encodeURIComponent(id)}/sample`,
+        rates: { min: 0.1, max: 10, default: profile.speechRate },
+        provider: 'custom',
+        baseVoiceId: profile.baseVoiceId,
+        speechRate: profile.speechRate,
+        pitch: profile.pitch,
+        description: profile.description
+    };
+}
+
+// Voices for a language: exact tag first, then the same base language
+function voicesForLanguage(voices, language) {
+    const base = language.split('-')[0].toLowerCase();
+    const exact = voices.filter(v => v.language === language);
+    const related = voices.filter(v => v.language !== language && v.language.split('-')[0].toLowerCase() === base);
+    return [...exact, ...related];
+}
+
+/**
+ * What the TTS engine should use for `voiceId`: the engine voice plus
+ * rate/pitch defaults from a custom profile. Unknown or empty ids fall
+ * back to the engine's best voice for `language`.
+ */
+async function resolveTtsVoice(user, voiceId, language) {
+    const voices = await voiceRegistry.forUser(user.id);
+    const engineVoices = voices.filter(v => v.provider === ttsProvider.name);
+
+    const requested = voiceId ? voices.find(v => v.id === voiceId) : null;
+    if (requested && requested.provider === 'custom') {
+        const base = engineVoices.find(v => v.id === requested.baseVoiceId);
+        if (base) {
+            return { voice: base, defaults: { rate: requested.speechRate, pitch: requested.pitch } };
+        }
+    }
+    if (requested && requested.provider === ttsProvider.name) {
+        return { voice: requested, defaults: {} };
+    }
+
+    const voice = voicesForLanguage(engineVoices, language)[0] || engineVoices[0];
+    if (!voice) throw new TtsUnavailableError('No voices are available');
+    return { voice, defaults: {} };
+}
+
+// Short line in the voice's language for voice previews
+function voiceSampleText(language) {
+    const greetings = resolveSeedPack(language).suggestionSets.greeting || [];
+    return greetings.length > 0 ? `${greetings[0]}. ${greetings[greetings.length - 1]}` : 'Hello. How are you?';
+}
+
+// ============================================
+// SPEECH-TO-TEXT
+// ============================================
+
+/**
+ * STT providers implement:
+ *   name, formats                           provider id; audio formats it reads ('wav', 'mp3', ...)
+ *   transcribe({ audio, format, language }) -> Promise<string>
+ * Pick one with STT_PROVIDER; add engines to STT_PROVIDERS.
+ */
+const STT_TIMEOUT_MS = 60000;
+const STT_MAX_UPLOAD = '25mb';
+const STT_STREAM_MAX_SECONDS = 120;
+// Seconds of new audio before a stream is transcribed again for a partial result
+const STT_PARTIAL_SECONDS = 2;
+// Partial results cover only this much of the latest audio, so each pass
+// costs the same however long the stream runs
+const STT_PARTIAL_WINDOW_SECONDS = 20;
+
+// Engine or model missing or failing; reported to the client as a 503
+class SttUnavailableError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SttUnavailableError';
+        this.status = 503;
+    }
+}
+
+// Container format from the file's magic bytes; null when unknown
+function detectAudioFormat(audio) {
+    if (audio.length < 12) return null;
+    if (audio.toString('latin1', 0, 4) === 'RIFF' && audio.toString('latin1', 8, 12) === 'WAVE') return 'wav';
+    if (audio.toString('latin1', 0, 4) === 'fLaC') return 'flac';
+    if (audio.toString('latin1', 0, 4) === 'OggS') return 'ogg';
+    if (audio.toString('latin1', 0, 3) === 'ID3' || (audio[0] === 0xff && (audio[1] & 0xe0) === 0xe0)) return 'mp3';
+    return null;
+}
+
+// Wrap 16-bit little-endian mono PCM in a WAV header
+function pcmToWav(pcm, sampleRate) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVE', 8, 'latin1');
+    header.write('fmt ', 12, 'latin1');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36, 'latin1');
+    header.writeUInt32LE(pcm.length, 40);
+    return Buffer.concat([header, pcm]);
+}
+
+// Offline recognition with whisper.cpp's command line tool. The engine
+// reads files only, so audio goes through a temp file that is removed
+// as soon as the transcript is back.
+class WhisperCppSttProvider {
+    constructor(command, model) {
+        this.name = 'whisper.cpp';
+        this.formats = ['wav', 'flac', 'mp3', 'ogg'];
+        this.command = command;
+        this.model = model;
+    }
+
+    async transcribe({ audio, format, language }) {
+        if (!fs.existsSync(this.model)) {
+            throw new SttUnavailableError(`Speech recognition model not found at ${this.model}`);
+        }
+
+        const filePath = path.join(os.tmpdir(), `spokio-stt-${crypto.randomBytes(8).toString('hex')}.${format}`);
+        fs.writeFileSync(filePath, audio);
+
+        try {
+            const output = await runSpeechEngine(this.command, [
+                '-m', this.model,
+                '-f', filePath,
+                // Whisper takes ISO 639-1 codes: "es-MX" -> "es"
+                '-l', language ? language.split('-')[0] : 'auto',
+                '-nt',
+                '-np'
+            ], '', STT_TIMEOUT_MS, SttUnavailableError);
+
+            return output.toString('utf8')
+                // Non-speech markers such as [BLANK_AUDIO] or [MUSIC]
+                .replace(/\[[A-Z_ ]+\]/g, ' ')
+                .replace(/\s+/g, ' ')
+                .trim();
+        } finally {
+            fs.rmSync(filePath, { force: true });
+        }
+    }
+}
+
+const STT_PROVIDERS = {
+    'whisper.cpp': () => new WhisperCppSttProvider(
+        process.env.WHISPER_CPP_PATH || 'whisper-cli',
+        process.env.WHISPER_MODEL_PATH || path.join(__dirname, 'models', 'ggml-base.bin')
+    )
+};
+
+function createSttProvider(name) {
+    const factory = STT_PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown STT_PROVIDER "${name}" (expected one of: ${Object.keys(STT_PROVIDERS).join(', ')})`);
+    }
+    return factory();
+}
+
+const sttProvider = createSttProvider((process.env.STT_PROVIDER || 'whisper.cpp').toLowerCase());
+
+// The transcription each user has running. Later ones wait their turn,
+// so one user never has more than one engine process.
+const sttRuns = new Map();
+
+function transcribeForUser(userId, request) {
+    const previous = sttRuns.get(userId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(() => sttProvider.transcribe(request));
+    sttRuns.set(userId, run);
+
+    run.catch(() => {}).then(() => {
+        if (sttRuns.get(userId) === run) sttRuns.delete(userId);
+    });
+    return run;
+}
+
+function isTranscribing(userId) {
+    return sttRuns.has(userId);
+}
+
+/**
+ * Transcribe what a conversation partner said to `user`, remember it as
+ * the message being replied to and rank replies for it. `context` takes
+ * the same fields as POST /api/predictions/suggest.
+ */
+async function hearSpeech(user, { audio, format, language, context = {}, limit }) {
+    const text = await transcribeForUser(user.id, { audio, format, language });
+
+    if (text) {
+        rememberHeardSpeech(user.id, { text, groupId: context.groupId, partnerId: context.partnerId });
+    }
+
+    const ranked = limit > 0
+        ? rankSuggestions(user.id, {
+            features: buildSuggestionContext(user.id, { ...context, lastMessage: text }, language).features,
+            language
+        }, limit)
+        : [];
+
+    return { text, ranked };
+}
+
+/**
+ * Audio streamed over Socket.IO as 16-bit little-endian mono PCM. The
+ * last STT_PARTIAL_WINDOW_SECONDS are transcribed every
+ * STT_PARTIAL_SECONDS of new audio for partial results, skipped while
+ * the user already has a transcription running; the whole recording is
+ * transcribed once at the end.
+ */
+class SttStream {
+    constructor({ language, sampleRate, context }) {
+        this.language = language;
+        this.sampleRate = sampleRate;
+        this.context = context;
+        this.chunks = [];
+        this.bytes = 0;
+        this.unheardBytes = 0;
+    }
+
+    // False once the stream would exceed STT_STREAM_MAX_SECONDS
+    append(chunk) {
+        if (this.bytes + chunk.length > this.sampleRate * 2 * STT_STREAM_MAX_SECONDS) return false;
+        this.chunks.push(chunk);
+        this.bytes += chunk.length;
+        this.unheardBytes += chunk.length;
+        return true;
+    }
+
+    wantsPartial() {
+        return this.unheardBytes >= this.sampleRate * 2 * STT_PARTIAL_SECONDS;
+    }
+
+    wav() {
+        return pcmToWav(Buffer.concat(this.chunks), this.sampleRate);
+    }
+
+    partialWav() {
+        this.unheardBytes = 0;
+        const window = this.sampleRate * 2 * STT_PARTIAL_WINDOW_SECONDS;
+        const audio = Buffer.concat(this.chunks);
+        return pcmToWav(audio.subarray(Math.max(0, audio.length - window)), this.sampleRate);
+    }
+}
+
+// ============================================
+// REQUEST VALIDATION
+// ============================================
+
+/**
+ * Declarative field rules:
+ *   type        'string' | 'number' | 'integer' | 'boolean' | 'array' | 'object'
+ *   required    value must be present (and non-empty for strings);
+ *               `emptyAsMissing: true` lets an optional string be ''
+ *   minLength / maxLength, min / max, enum, pattern, format: 'email' | 'date'
+ *   items       rule for every array element; maxItems caps the length
+ *   properties  rules for object keys; `strict: true` rejects unknown keys
+ * validate() returns a list of { field, message } - empty when valid.
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// ISO 8601 date, optionally with a time
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function describeType(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+function validate(rule, value, field = '') {
+    const errors = [];
+    const fail = message => errors.push({ field: field || '(payload)', message });
+
+    if (value === undefined || value === null ||
+        (rule.type === 'string' && value === '' && (rule.required || rule.emptyAsMissing))) {
+        if (rule.required) fail('is required');
+        return errors;
+    }
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') {
+                fail('must be a string');
+                return errors;
+            }
+            if (rule.minLength !== undefined && value.length < rule.minLength) fail(`must be at least ${rule.minLength} characters`);
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) fail(`must be at most ${rule.maxLength} characters`);
+            if (rule.pattern && !rule.pattern.test(value)) fail('has an invalid format');
+            if (rule.format === 'email' && !EMAIL_PATTERN.test(value)) fail('must be a valid email address');
+            if (rule.format === 'date' && (!DATE_PATTERN.test(value) || isNaN(Date.parse(value)))) fail('must be an ISO 8601 date');
+            break;
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                fail('must be a number');
+                return errors;
+            }
+            if (rule.type === 'integer' && !Number.isInteger(value)) fail('must be an integer');
+            if (rule.min !== undefined && value < rule.min) fail(`must be at least ${rule.min}`);
+            if (rule.max !== undefined && value > rule.max) fail(`must be at most ${rule.max}`);
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') fail('must be true or false');
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                fail('must be an array');
+                return errors;
+            }
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) fail(`must have at most ${rule.maxItems} items`);
+            if (rule.items) {
+                value.forEach((item, index) => errors.push(...validate(rule.items, item, `${field}[${index}]`)));
+            }
+            break;
+        case 'object':
+            if (describeType(value) !== 'object') {
+                fail('must be an object');
+                return errors;
+            }
+            Object.entries(rule.properties || {}).forEach(([key, childRule]) => {
+                errors.push(...validate(childRule, value[key], field ? `${field}.${key}` : key));
+            });
+            if (rule.strict) {
+                Object.keys(value)
+                    .filter(key => !(rule.properties || {})[key])
+                    .forEach(key => errors.push({ field: field ? `${field}.${key}` : key, message: 'is not an allowed field' }));
+            }
+            break;
+        default:
+            break;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        fail(`must be one of: ${rule.enum.join(', ')}`);
+    }
+    return errors;
+}
+
+// Query strings arrive as text; turn numeric and boolean fields into
+// real values before validating them
+function coerceQuery(properties, query) {
+    const coerced = { ...query };
+    Object.entries(properties).forEach(([key, rule]) => {
+        const value = coerced[key];
+        if (typeof value !== 'string') return;
+        if ((rule.type === 'number' || rule.type === 'integer') && value.trim() !== '' && !isNaN(value)) {
+            coerced[key] = Number(value);
+        } else if (rule.type === 'boolean' && (value === 'true' || value === 'false')) {
+            coerced[key] = value === 'true';
+        }
+    });
+    return coerced;
+}
+
+function validationFailed(errors) {
+    return {
+        success: false,
+        message: `Validation failed: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`,
+        errors
+    };
+}
+
+// Express middleware: validateRequest({ body: {...}, query: {...} })
+// where each part maps field names to rules
+function validateRequest(schema) {
+    return (req, res, next) => {
+        const errors = [];
+
+        if (schema.query) {
+            const query = coerceQuery(schema.query, req.query);
+            errors.push(...validate({ type: 'object', properties: schema.query }, query));
+            req.query = query;
+        }
+        if (schema.body) {
+            errors.push(...validate({ type: 'object', properties: schema.body }, req.body || {}));
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json(validationFailed(errors));
+        }
+        next();
+    };
+}
+
+// Socket.IO counterpart: runs the handler only for payloads that match
+function validatedHandler(socket, rule, handler) {
+    return (data, ...rest) => {
+        const errors = validate({ required: true, ...rule }, data);
+        if (errors.length > 0) {
+            socket.emit('error', validationFailed(errors));
+            return;
+        }
+        return handler(data, ...rest);
+    };
+}
+
+// Shared field rules
+const FIELDS = {
+    id: { type: 'string', required: true, minLength: 1, maxLength: 64 },
+    email: { type: 'string', required: true, maxLength: 254, format: 'email' },
+    password: { type: 'string', required: true, minLength: 8, maxLength: 128 },
+    language: { type: 'string', pattern: /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/ },
+    device: {
+        type: 'object',
+        properties: {
+            name: { type: 'string', maxLength: 100 },
+            platform: { type: 'string', maxLength: 50 }
+        }
+    },
+    location: {
+        type: 'object',
+        properties: {
+            latitude: { type: 'number', min: -90, max: 90 },
+            longitude: { type: 'number', min: -180, max: 180 },
+            accuracy: { type: 'number', min: 0 },
+            address: { type: 'string', maxLength: 500 }
+        }
+    },
+    // "HH:MM", 24-hour clock
+    timeOfDay: { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/ },
+    coordinates: {
+        type: 'object',
+        properties: {
+            latitude: { type: 'number', required: true, min: -90, max: 90 },
+            longitude: { type: 'number', required: true, min: -180, max: 180 }
+        }
+    },
+    tags: { type: 'array', maxItems: 20, items: { type: 'string', minLength: 1, maxLength: 50 } },
+    messageContent: { type: 'string', required: true, maxLength: 2000 },
+    moderationReason: { type: 'string', maxLength: 500 },
+    gridSize: { type: 'integer', min: 1, max: 20 },
+    gridPosition: { type: 'integer', min: 0, max: 19 },
+    // Per-cell display metadata on phrase boards
+    cellStyle: {
+        label: { type: 'string', maxLength: 100 },
+        icon: { type: 'string', maxLength: 100 },
+        color: { type: 'string', pattern: /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/ },
+        symbol: { type: 'string', maxLength: 2000 }
+    },
+    // Where and with whom the user is talking; see buildSuggestionContext
+    suggestionContext: {
+        location: { type: 'string', maxLength: 50 },
+        groupId: { type: 'string', maxLength: 64 },
+        partnerId: { type: 'string', maxLength: 64 },
+        lastMessage: { type: 'string', maxLength: 2000 },
+        timezoneOffset: { type: 'integer', min: -840, max: 840 }
+    }
+};
+
+const SCHEMAS = {
+    register: {
+        body: {
+            username: { type: 'string', required: true, minLength: 3, maxLength: 30, pattern: /^[A-Za-z0-9_.-]+$/ },
+            email: FIELDS.email,
+            password: FIELDS.password,
+            device: FIELDS.device
+        }
+    },
+    login: {
+        body: {
+            email: FIELDS.email,
+            password: { type: 'string', required: true, maxLength: 128 },
+            device: FIELDS.device
+        }
+    },
+    refreshToken: {
+        body: { refreshToken: { type: 'string', required: true, maxLength: 200 } }
+    },
+    logout: {
+        body: { allDevices: { type: 'boolean' } }
+    },
+    forgotPassword: {
+        body: { email: FIELDS.email }
+    },
+    resetPassword: {
+        body: {
+            token: { type: 'string', required: true, maxLength: 200 },
+            password: FIELDS.password
+        }
+    },
+    verifyEmail: {
+        body: { token: { type: 'string', required: true, maxLength: 200 } }
+    },
+    updateProfile: {
+        body: {
+            profile: {
+                type: 'object',
+                strict: true,
+                properties: {
+                    name: { type: 'string', maxLength: 100 },
+                    location: { type: 'string', maxLength: 200 },
+                    bio: { type: 'string', maxLength: 1000 },
+                    avatar: { type: 'string', maxLength: 2000 },
+                    preferredLanguage: FIELDS.language
+                }
+            },
+            accessibility: {
+                type: 'object',
+                strict: true,
+                properties: {
+                    fontSize: { type: 'integer', min: 8, max: 72 },
+                    highContrast: { type: 'boolean' },
+                    screenReaderEnabled: { type: 'boolean' }
+                }
+            },
+            settings: {
+                type: 'object',
+                strict: true,
+                properties: {
+                    autoSave: { type: 'boolean' },
+                    vibrationFeedback: { type: 'boolean' }
+                }
+            },
+            voicePreferences: {
+                type: 'object',
+                strict: true,
+                properties: {
+                    preferredVoice: { type: 'string', maxLength: 200 },
+                    speechRate: { type: 'number', min: 0.1, max: 10 },
+                    pitch: { type: 'number', min: 0, max: 2 }
+                }
+            }
+        }
+    },
+    emergencyContact: {
+        body: {
+            name: { type: 'string', required: true, maxLength: 100 },
+            phone: { type: 'string', required: true, pattern: /^\+?[0-9 ()-]{3,20}$/ },
+            email: { ...FIELDS.email, required: false, emptyAsMissing: true },
+            relationship: { type: 'string', maxLength: 50 },
+            userId: { type: 'string', maxLength: 64 },
+            webhookUrl: { type: 'string', maxLength: 500, pattern: /^https:\/\/\S+$/ },
+            channels: {
+                type: 'array',
+                maxItems: 4,
+                items: { type: 'string', enum: Object.keys(NOTIFICATION_CHANNELS) }
+            }
+        }
+    },
+    createPhrase: {
+        body: {
+            text: { type: 'string', required: true, maxLength: 500 },
+            language: FIELDS.language,
+            category: { type: 'string', maxLength: 50 },
+            tags: FIELDS.tags
+        }
+    },
+    listPhrases: {
+        query: {
+            category: { type: 'string', maxLength: 50 },
+            language: FIELDS.language,
+            search: { type: 'string', maxLength: 200 },
+            limit: { type: 'integer', min: 1, max: 1000 },
+            skip: { type: 'integer', min: 0 }
+        }
+    },
+    exportPhrases: {
+        query: {
+            format: { type: 'string', enum: Object.keys(EXPORT_FORMATS) },
+            category: { type: 'string', maxLength: 50 },
+            language: FIELDS.language,
+            boardId: { type: 'string', maxLength: 64 }
+        }
+    },
+    importPhrases: {
+        query: {
+            format: { type: 'string', enum: Object.keys(EXPORT_FORMATS) },
+            dryRun: { type: 'boolean' },
+            category: { type: 'string', maxLength: 50 },
+            language: FIELDS.language
+        }
+    },
+    updatePhrase: {
+        body: {
+            text: { type: 'string', maxLength: 500 },
+            category: { type: 'string', maxLength: 50 },
+            tags: FIELDS.tags,
+            priority: { type: 'integer', min: 0, max: 100 }
+        }
+    },
+    publishCategory: {
+        body: {
+            category: { type: 'string', required: true, maxLength: 50 },
+            language: FIELDS.language,
+            isPublic: { type: 'boolean' }
+        }
+    },
+    listLibrary: {
+        query: {
+            language: FIELDS.language,
+            category: { type: 'string', maxLength: 50 },
+            search: { type: 'string', maxLength: 200 },
+            sort: { type: 'string', enum: Object.keys(LIBRARY_SORTS) },
+            limit: { type: 'integer', min: 1, max: 200 },
+            skip: { type: 'integer', min: 0 }
+        }
+    },
+    copyLibrarySet: {
+        body: {
+            authorId: FIELDS.id,
+            category: { type: 'string', required: true, maxLength: 50 },
+            language: FIELDS.language
+        }
+    },
+    rateLibraryPhrase: {
+        body: { rating: { type: 'integer', required: true, min: 1, max: 5 } }
+    },
+    reportLibraryPhrase: {
+        body: {
+            reason: { type: 'string', required: true, enum: REPORT_REASONS },
+            details: { type: 'string', maxLength: 1000 }
+        }
+    },
+    search: {
+        query: {
+            q: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+            scope: { type: 'string', maxLength: 100, pattern: /^(all|phrases|library|groups|messages)(,(all|phrases|library|groups|messages))*$/ },
+            tags: { type: 'string', maxLength: 500 },
+            language: FIELDS.language,
+            limit: { type: 'integer', min: 1, max: 100 },
+            skip: { type: 'integer', min: 0 }
+        }
+    },
+    createBoard: {
+        body: {
+            name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+            description: { type: 'string', maxLength: 1000 },
+            language: FIELDS.language,
+            rows: FIELDS.gridSize,
+            columns: FIELDS.gridSize
+        }
+    },
+    updateBoard: {
+        body: {
+            name: { type: 'string', minLength: 1, maxLength: 100 },
+            description: { type: 'string', maxLength: 1000 },
+            language: FIELDS.language,
+            rows: FIELDS.gridSize,
+            columns: FIELDS.gridSize
+        }
+    },
+    createFolder: {
+        body: {
+            name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+            ...FIELDS.cellStyle,
+            rows: FIELDS.gridSize,
+            columns: FIELDS.gridSize,
+            row: FIELDS.gridPosition,
+            column: FIELDS.gridPosition
+        }
+    },
+    updateFolder: {
+        body: {
+            name: { type: 'string', minLength: 1, maxLength: 100 },
+            ...FIELDS.cellStyle,
+            rows: FIELDS.gridSize,
+            columns: FIELDS.gridSize
+        }
+    },
+    createCell: {
+        body: {
+            phraseId: FIELDS.id,
+            folderId: { type: 'string', maxLength: 64 },
+            ...FIELDS.cellStyle,
+            row: FIELDS.gridPosition,
+            column: FIELDS.gridPosition
+        }
+    },
+    updateCell: {
+        body: {
+            ...FIELDS.cellStyle,
+            row: FIELDS.gridPosition,
+            column: FIELDS.gridPosition
+        }
+    },
+    boardLayout: {
+        body: {
+            folderId: { type: 'string', maxLength: 64 },
+            cells: {
+                type: 'array',
+                required: true,
+                maxItems: 400,
+                items: {
+                    type: 'object',
+                    properties: {
+                        id: FIELDS.id,
+                        row: { ...FIELDS.gridPosition, required: true },
+                        column: { ...FIELDS.gridPosition, required: true }
+                    }
+                }
+            }
+        }
+    },
+    predict: {
+        body: {
+            text: { type: 'string', maxLength: 1000 },
+            language: FIELDS.language
+        }
+    },
+    suggest: {
+        body: {
+            context: { type: 'string', maxLength: 50 },
+            language: FIELDS.language,
+            ...FIELDS.suggestionContext,
+            limit: { type: 'integer', min: 1, max: 20 }
+        }
+    },
+    suggestionPick: {
+        body: {
+            text: { type: 'string', required: true, maxLength: 500 },
+            phraseId: { type: 'string', maxLength: 64 },
+            language: FIELDS.language,
+            ...FIELDS.suggestionContext
+        }
+    },
+    phraseUse: {
+        body: {
+            channel: { type: 'string', enum: USAGE_CHANNELS },
+            ...FIELDS.suggestionContext
+        }
+    },
+    analytics: {
+        query: {
+            from: { type: 'string', format: 'date' },
+            to: { type: 'string', format: 'date' },
+            interval: { type: 'string', enum: ANALYTICS_INTERVALS },
+            timezoneOffset: FIELDS.suggestionContext.timezoneOffset,
+            channel: { type: 'string', enum: USAGE_CHANNELS },
+            category: { type: 'string', maxLength: 50 },
+            phraseId: { type: 'string', maxLength: 64 },
+            limit: { type: 'integer', min: 1, max: 200 },
+            skip: { type: 'integer', min: 0 }
+        }
+    },
+    listGroups: {
+        query: {
+            category: { type: 'string', maxLength: 50 },
+            language: FIELDS.language,
+            search: { type: 'string', maxLength: 200 }
+        }
+    },
+    createGroup: {
+        body: {
+            name: { type: 'string', required: true, maxLength: 100 },
+            description: { type: 'string', maxLength: 1000 },
+            category: { type: 'string', required: true, maxLength: 50 },
+            language: FIELDS.language
+        }
+    },
+    listMessages: {
+        query: {
+            limit: { type: 'integer', min: 1, max: 200 },
+            skip: { type: 'integer', min: 0 }
+        }
+    },
+    groupMessage: {
+        body: {
+            content: FIELDS.messageContent,
+            phraseId: { type: 'string', maxLength: 64 }
+        }
+    },
+    updateGroup: {
+        body: {
+            name: { type: 'string', minLength: 1, maxLength: 100 },
+            description: { type: 'string', maxLength: 1000 },
+            category: { type: 'string', minLength: 1, maxLength: 50 },
+            language: FIELDS.language,
+            icon: { type: 'string', maxLength: 500 },
+            isPublic: { type: 'boolean' }
+        }
+    },
+    groupInvite: {
+        body: {
+            userId: FIELDS.id
+        }
+    },
+    groupRole: {
+        body: {
+            role: { type: 'string', required: true, enum: Object.keys(GROUP_ROLE_RANK) }
+        }
+    },
+    kickMember: {
+        body: {
+            reason: FIELDS.moderationReason
+        }
+    },
+    groupRestriction: {
+        body: {
+            userId: FIELDS.id,
+            reason: FIELDS.moderationReason,
+            // Leave out for a ban or mute that lasts until it is lifted
+            durationMinutes: { type: 'integer', min: 1, max: 525600 }
+        }
+    },
+    moderationLog: {
+        query: {
+            action: { type: 'string', enum: MODERATION_ACTIONS },
+            limit: { type: 'integer', min: 1, max: 200 },
+            skip: { type: 'integer', min: 0 }
+        }
+    },
+    emergencyAlert: {
+        body: {
+            message: { type: 'string', maxLength: 1000 },
+            location: FIELDS.location,
+            severity: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] }
+        }
+    },
+    emergencySettings: {
+        body: {
+            trustedGroupIds: { type: 'array', maxItems: 20, items: FIELDS.id },
+            alertNearbyResponders: { type: 'boolean' },
+            escalateToAllGroups: { type: 'boolean' },
+            nearbyResponder: {
+                type: 'object',
+                strict: true,
+                properties: {
+                    enabled: { type: 'boolean' },
+                    latitude: FIELDS.location.properties.latitude,
+                    longitude: FIELDS.location.properties.longitude,
+                    radiusKm: { type: 'number', min: 0.1, max: 50 }
+                }
+            }
+        }
+    },
+    listAlerts: {
+        query: {
+            status: { type: 'string', enum: ['active', 'resolved', 'cancelled'] },
+            role: { type: 'string', enum: ['owner', 'responder'] }
+        }
+    },
+    acknowledgeAlert: {
+        body: {
+            message: { type: 'string', maxLength: 500 },
+            // Minutes until the responder expects to arrive
+            eta: { type: 'integer', min: 0, max: 24 * 60 }
+        }
+    },
+    alertNote: {
+        body: {
+            text: { type: 'string', required: true, maxLength: 2000 }
+        }
+    },
+    closeAlert: {
+        body: {
+            reason: { type: 'string', maxLength: 500 }
+        }
+    },
+    alertLocation: {
+        body: {
+            latitude: { ...FIELDS.location.properties.latitude, required: true },
+            longitude: { ...FIELDS.location.properties.longitude, required: true },
+            accuracy: FIELDS.location.properties.accuracy
+        }
+    },
+    createAlertShare: {
+        body: {
+            expiresInMinutes: { type: 'integer', min: 5, max: 24 * 60 }
+        }
+    },
+    viewAlertShare: {
+        query: {
+            since: { type: 'string', format: 'date' }
+        }
+    },
+    deviceLocation: {
+        body: {
+            latitude: { ...FIELDS.location.properties.latitude, required: true },
+            longitude: { ...FIELDS.location.properties.longitude, required: true },
+            accuracy: FIELDS.location.properties.accuracy
+        }
+    },
+    createSafeZone: {
+        body: {
+            name: { type: 'string', required: true, maxLength: 100 },
+            shape: { type: 'string', required: true, enum: ['circle', 'polygon'] },
+            center: FIELDS.coordinates,
+            radiusM: { type: 'number', min: 20, max: 50000 },
+            points: { type: 'array', maxItems: 100, items: { ...FIELDS.coordinates, required: true } },
+            enabled: { type: 'boolean' }
+        }
+    },
+    updateSafeZone: {
+        body: {
+            name: { type: 'string', maxLength: 100 },
+            shape: { type: 'string', enum: ['circle', 'polygon'] },
+            center: FIELDS.coordinates,
+            radiusM: { type: 'number', min: 20, max: 50000 },
+            points: { type: 'array', maxItems: 100, items: { ...FIELDS.coordinates, required: true } },
+            enabled: { type: 'boolean' }
+        }
+    },
+    createCheckIn: {
+        body: {
+            label: { type: 'string', maxLength: 100 },
+            times: { type: 'array', required: true, maxItems: 12, items: FIELDS.timeOfDay },
+            days: { type: 'array', maxItems: 7, items: { type: 'string', enum: DAY_NAMES } },
+            timezoneOffset: { type: 'integer', min: -840, max: 840 },
+            graceMinutes: { type: 'integer', min: 0, max: 240 },
+            enabled: { type: 'boolean' }
+        }
+    },
+    updateCheckIn: {
+        body: {
+            label: { type: 'string', maxLength: 100 },
+            times: { type: 'array', maxItems: 12, items: FIELDS.timeOfDay },
+            days: { type: 'array', maxItems: 7, items: { type: 'string', enum: DAY_NAMES } },
+            timezoneOffset: { type: 'integer', min: -840, max: 840 },
+            graceMinutes: { type: 'integer', min: 0, max: 240 },
+            enabled: { type: 'boolean' }
+        }
+    },
+    tts: {
+        body: {
+            text: { type: 'string', maxLength: 1000 },
+            phraseId: { type: 'string', maxLength: 64 },
+            voiceId: { type: 'string', maxLength: 200 },
+            language: FIELDS.language,
+            speechRate: { type: 'number', min: 0.1, max: 10 },
+            pitch: { type: 'number', min: 0, max: 2 }
+        }
+    },
+    stt: {
+        query: {
+            language: FIELDS.language,
+            location: FIELDS.suggestionContext.location,
+            groupId: FIELDS.suggestionContext.groupId,
+            partnerId: FIELDS.suggestionContext.partnerId,
+            timezoneOffset: FIELDS.suggestionContext.timezoneOffset,
+            limit: { type: 'integer', min: 0, max: 20 }
+        }
+    },
+    listVoices: {
+        query: {
+            language: FIELDS.language,
+            gender: { type: 'string', enum: VOICE_GENDERS },
+            age: { type: 'string', enum: VOICE_AGES }
+        }
+    },
+    createCustomVoice: {
+        body: {
+            name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+            description: { type: 'string', maxLength: 500 },
+            language: FIELDS.language,
+            gender: { type: 'string', enum: VOICE_GENDERS },
+            age: { type: 'string', enum: VOICE_AGES },
+            baseVoiceId: { type: 'string', required: true, maxLength: 200 },
+            speechRate: { type: 'number', min: 0.1, max: 10 },
+            pitch: { type: 'number', min: 0, max: 2 }
+        }
+    },
+    updateCustomVoice: {
+        body: {
+            name: { type: 'string', minLength: 1, maxLength: 100 },
+            description: { type: 'string', maxLength: 500 },
+            language: FIELDS.language,
+            gender: { type: 'string', enum: VOICE_GENDERS },
+            age: { type: 'string', enum: VOICE_AGES },
+            baseVoiceId: { type: 'string', maxLength: 200 },
+            speechRate: { type: 'number', min: 0.1, max: 10 },
+            pitch: { type: 'number', min: 0, max: 2 }
+        }
+    },
+    directMessage: {
+        body: {
+            recipientId: FIELDS.id,
+            content: FIELDS.messageContent,
+            phraseId: { type: 'string', maxLength: 64 }
+        }
+    }
+};
+
+// Socket.IO event payloads
+const SOCKET_SCHEMAS = {
+    groupId: FIELDS.id,
+    groupMessage: {
+        type: 'object',
+        properties: {
+            groupId: FIELDS.id,
+            content: FIELDS.messageContent,
+            phraseId: { type: 'string', maxLength: 64 }
+        }
+    },
+    typing: {
+        type: 'object',
+        properties: { groupId: FIELDS.id }
+    },
+    deleteGroupMessage: {
+        type: 'object',
+        properties: { groupId: FIELDS.id, messageId: FIELDS.id }
+    },
+    emergencyAlert: {
+        type: 'object',
+        properties: {
+            message: { type: 'string', maxLength: 1000 },
+            location: FIELDS.location,
+            severity: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] }
+        }
+    },
+    directMessage: {
+        type: 'object',
+        properties: {
+            recipientId: FIELDS.id,
+            content: FIELDS.messageContent,
+            phraseId: { type: 'string', maxLength: 64 }
+        }
+    },
+    deviceLocation: {
+        type: 'object',
+        properties: {
+            latitude: { ...FIELDS.location.properties.latitude, required: true },
+            longitude: { ...FIELDS.location.properties.longitude, required: true },
+            accuracy: FIELDS.location.properties.accuracy
+        }
+    },
+    emergencyLocation: {
+        type: 'object',
+        properties: {
+            alertId: FIELDS.id,
+            latitude: { ...FIELDS.location.properties.latitude, required: true },
+            longitude: { ...FIELDS.location.properties.longitude, required: true },
+            accuracy: FIELDS.location.properties.accuracy
+        }
+    },
+    sttStart: {
+        type: 'object',
+        properties: {
+            language: FIELDS.language,
+            sampleRate: { type: 'integer', min: 8000, max: 48000 },
+            location: FIELDS.suggestionContext.location,
+            groupId: FIELDS.suggestionContext.groupId,
+            partnerId: FIELDS.suggestionContext.partnerId,
+            timezoneOffset: FIELDS.suggestionContext.timezoneOffset,
+            limit: { type: 'integer', min: 0, max: 20 }
+        }
+    }
+};
+
+// ============================================
+// RATE LIMITING
+// ============================================
+
+/**
+ * Rate limit stores implement increment(key, windowMs) -> { count, resetAt }
+ * and reset(key), both returning promises, so a shared store (Redis, for
+ * example) can replace the in-memory one when running several instances.
+ */
+class MemoryRateLimitStore {
+    constructor() {
+        this.buckets = new Map();
+
+        // Forget windows that have ended
+        this.sweeper = setInterval(() => {
+            const now = Date.now();
+            this.buckets.forEach((bucket, key) => {
+                if (bucket.resetAt <= now) this.buckets.delete(key);
+            });
+        }, 60 * 1000);
+        this.sweeper.unref();
+    }
+
+    async increment(key, windowMs) {
+        const now = Date.now();
+        let bucket = this.buckets.get(key);
+
+        if (!bucket || bucket.resetAt <= now) {
+            bucket = { count: 0, resetAt: now + windowMs };
+            this.buckets.set(key, bucket);
+        }
+
+        bucket.count += 1;
+        return { count: bucket.count, resetAt: bucket.resetAt };
+    }
+
+    async reset(key) {
+        this.buckets.delete(key);
+    }
+}
+
+const RATE_LIMIT_STORES = {
+    memory: () => new MemoryRateLimitStore()
+};
+
+function createRateLimitStore(name) {
+    const factory = RATE_LIMIT_STORES[name];
+    if (!factory) {
+        throw new Error(`Unknown RATE_LIMIT_STORE "${name}" (expected one of: ${Object.keys(RATE_LIMIT_STORES).join(', ')})`);
+    }
+    return factory();
+}
+
+const rateLimitStore = createRateLimitStore((process.env.RATE_LIMIT_STORE || 'memory').toLowerCase());
+
+const MINUTE_MS = 60 * 1000;
+
+// Per-route limits. `by` lists the buckets a request counts against:
+// 'ip' for everyone, 'user' once authMiddleware has run.
+const RATE_LIMITS = {
+    register: { windowMs: 60 * MINUTE_MS, max: 10, by: ['ip'] },
+    login: { windowMs: 15 * MINUTE_MS, max: 20, by: ['ip'] },
+    refreshToken: { windowMs: 15 * MINUTE_MS, max: 60, by: ['ip'] },
+    passwordForgot: { windowMs: 60 * MINUTE_MS, max: 5, by: ['ip'] },
+    passwordReset: { windowMs: 60 * MINUTE_MS, max: 10, by: ['ip'] },
+    emailVerify: { windowMs: 60 * MINUTE_MS, max: 20, by: ['ip'] },
+    emailResend: { windowMs: 60 * MINUTE_MS, max: 5, by: ['user'] },
+    createGroup: { windowMs: 60 * MINUTE_MS, max: 10, by: ['user'] },
+    groupMessage: { windowMs: MINUTE_MS, max: 30, by: ['ip', 'user'] },
+    directMessage: { windowMs: MINUTE_MS, max: 30, by: ['ip', 'user'] },
+    libraryReport: { windowMs: 60 * MINUTE_MS, max: 10, by: ['user'] },
+    tts: { windowMs: MINUTE_MS, max: 60, by: ['user'] },
+    stt: { windowMs: MINUTE_MS, max: 30, by: ['user'] },
+    // Each alert texts, mails and calls webhooks for every contact, so keep
+    // one account from flooding them; still generous for real emergencies
+    emergencyAlert: { windowMs: 60 * MINUTE_MS, max: 10, by: ['user'] },
+    alertLocation: { windowMs: MINUTE_MS, max: 120, by: ['user'] },
+    alertShareView: { windowMs: MINUTE_MS, max: 120, by: ['ip'] },
+    deviceLocation: { windowMs: MINUTE_MS, max: 120, by: ['user'] },
+    groupModeration: { windowMs: MINUTE_MS, max: 60, by: ['user'] }
+};
+
+// Socket.IO events, counted per user
+const SOCKET_RATE_LIMITS = {
+    'send-group-message': { windowMs: MINUTE_MS, max: 30 },
+    'direct-message': { windowMs: MINUTE_MS, max: 30 },
+    'user-typing': { windowMs: MINUTE_MS, max: 120 },
+    'user-stop-typing': { windowMs: MINUTE_MS, max: 120 },
+    'join-group': { windowMs: MINUTE_MS, max: 60 },
+    'delete-group-message': { windowMs: MINUTE_MS, max: 60 },
+    'stt-start': { windowMs: MINUTE_MS, max: 30 },
+    // 20 chunks a second. stt-stop goes through the limiter too, so it
+    // cannot overtake audio chunks still being counted.
+    'stt-audio': { windowMs: MINUTE_MS, max: 1200 },
+    'stt-stop': { windowMs: MINUTE_MS, max: 30 },
+    'emergency-alert': { windowMs: 60 * MINUTE_MS, max: 10 },
+    'emergency-location': { windowMs: MINUTE_MS, max: 120 },
+    'location-update': { windowMs: MINUTE_MS, max: 120 }
+};
+
+// Account lockout after repeated failed logins
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+// Compared against for unknown emails, so they take as long as real ones
+const DUMMY_PASSWORD_HASH = bcryptjs.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+// Count a hit against every bucket in `keys`; returns the bucket that is
+// over its limit, or null
+async function consumeRateLimit(keys, { windowMs, max }) {
+    for (const key of keys) {
+        const { count, resetAt } = await rateLimitStore.increment(key, windowMs);
+        if (count > max) {
+            return { key, resetAt };
+        }
+    }
+    return null;
+}
+
+function rateLimit(name) {
+    const config = RATE_LIMITS[name];
+
+    return async (req, res, next) => {
+        try {
+            const keys = config.by
+                .map(bucket => {
+                    if (bucket === 'ip') return `${name}:ip:${req.ip}`;
+                    if (bucket === 'user' && req.user) return `${name}:user:${req.user.id}`;
+                    return null;
+                })
+                .filter(Boolean);
+
+            const limited = await consumeRateLimit(keys, config);
+
+            if (limited) {
+                const retryAfter = Math.ceil((limited.resetAt - Date.now()) / 1000);
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({
+                    success: false,
+                    message: 'Too many requests, please try again later',
+                    retryAfter
+                });
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+// ============================================
+// PHRASE BOARDS
+// ============================================
+
+/**
+ * A board is a grid of cells. Each cell points at a phrase or, on the
+ * top level, at a folder; a folder is its own grid of phrase cells:
+ *
+ *   board { id, userId, name, language, rows, columns, cells, folders }
+ *   folder { id, name, icon, color, symbol, rows, columns, cells }
+ *   cell { id, type: 'phrase'|'folder', phraseId|folderId, row, column,
+ *          label, icon, color, symbol }
+ *
+ * Phrases stay in the phrases collection; cells only reference them.
+ */
+const BOARD_DEFAULT_ROWS = 4;
+const BOARD_DEFAULT_COLUMNS = 6;
+const CELL_STYLE_FIELDS = ['label', 'icon', 'color', 'symbol'];
+
+// The grid a cell lives in: the board itself or one of its folders
+function boardContainer(board, folderId) {
+    if (!folderId) return board;
+    return board.folders.find(f => f.id === folderId) || null;
+}
+
+function isInsideGrid(container, row, column) {
+    return row < container.rows && column < container.columns;
+}
+
+function cellAt(container, row, column, exceptId) {
+    return container.cells.find(c => c.row === row && c.column === column && c.id !== exceptId);
+}
+
+// Next free slot, row by row
+function firstFreePosition(container) {
+    for (let row = 0; row < container.rows; row++) {
+        for (let column = 0; column < container.columns; column++) {
+            if (!cellAt(container, row, column)) return { row, column };
+        }
+    }
+    return null;
+}
+
+// Error message for placing a cell at row/column, or null if the slot is usable
+function placementError(container, row, column, exceptId) {
+    if (!isInsideGrid(container, row, column)) {
+        return `Position ${row},${column} is outside the ${container.rows}x${container.columns} grid`;
+    }
+    if (cellAt(container, row, column, exceptId)) {
+        return `Position ${row},${column} is already taken`;
+    }
+    return null;
+}
+
+// Place a new cell at the requested position, or the first free one
+function placeCell(container, cell, position) {
+    const slot = position && position.row !== undefined && position.column !== undefined
+        ? position
+        : firstFreePosition(container);
+
+    if (!slot) {
+        return { status: 409, message: 'Grid is full' };
+    }
+
+    const error = placementError(container, slot.row, slot.column);
+    if (error) {
+        return { status: 409, message: error };
+    }
+
+    container.cells.push({ ...cell, row: slot.row, column: slot.column });
+    return null;
+}
+
+function findBoardCell(board, cellId) {
+    for (const container of [board, ...board.folders]) {
+        const cell = container.cells.find(c => c.id === cellId);
+        if (cell) return { container, cell };
+    }
+    return null;
+}
+
+function pickCellStyle(input) {
+    const style = {};
+    CELL_STYLE_FIELDS.forEach(field => {
+        if (input[field] !== undefined) style[field] = input[field];
+    });
+    return style;
+}
+
+// Reject a grid resize that would push existing cells off the grid
+function resizeGrid(container, rows, columns) {
+    const nextRows = rows !== undefined ? rows : container.rows;
+    const nextColumns = columns !== undefined ? columns : container.columns;
+
+    if (container.cells.some(c => c.row >= nextRows || c.column >= nextColumns)) {
+        return { status: 409, message: `Cells would fall outside a ${nextRows}x${nextColumns} grid; move them first` };
+    }
+
+    container.rows = nextRows;
+    container.columns = nextColumns;
+    return null;
+}
+
+function sendBoardResult(res, result, message, status = 200) {
+    if (result.status) {
+        return res.status(result.status).json({
+            success: false,
+            message: result.message
+        });
+    }
+
+    res.status(status).json({
+        success: true,
+        message,
+        board: result.board,
+        ...(result.extra || {})
+    });
+}
+
+/**
+ * Apply `mutate` to one of the user's boards while holding the boards
+ * lock, so concurrent layout edits cannot both claim the same slot.
+ * `mutate` changes the board in place and returns { status, message }
+ * to reject the change. Resolves to { board } or { status, message }.
+ */
+function updateBoard(boardId, userId, mutate) {
+    return db.boards.transaction(boards => {
+        const current = boards.findById(boardId);
+        if (!current || current.userId !== userId) {
+            return { status: 404, message: 'Board not found' };
+        }
+
+        const board = JSON.parse(JSON.stringify(current));
+        const rejection = mutate(board);
+        if (rejection) return rejection;
+
+        board.updatedAt = new Date();
+        return { board: boards.update(boardId, () => board) };
+    });
+}
+
+// Referenced phrases, keyed by id, for rendering a board in one request
+function boardPhrases(board) {
+    const ids = new Set();
+    [board, ...board.folders].forEach(container => {
+        container.cells.forEach(c => {
+            if (c.type === 'phrase') ids.add(c.phraseId);
+        });
+    });
+
+    const phrases = {};
+    ids.forEach(id => {
+        const phrase = db.phrases.findById(id);
+        if (phrase) phrases[id] = phrase;
+    });
+    return phrases;
+}
+
+// Drop cells for a deleted phrase from all of the user's boards
+async function removePhraseFromBoards(userId, phraseId) {
+    const affected = db.boards.filter({ userId }).filter(board =>
+        [board, ...board.folders].some(container => container.cells.some(c => c.phraseId === phraseId))
+    );
+
+    for (const board of affected) {
+        await db.boards.update(board.id, b => {
+            [b, ...b.folders].forEach(container => {
+                container.cells = container.cells.filter(c => c.phraseId !== phraseId);
+            });
+            b.updatedAt = new Date();
+            return b;
+        });
+    }
+}
+
+// ============================================
+// ROUTES - HEALTH & INFO
+// ============================================
+
+app.get('/api/health', async (req, res) => {
+    res.json({ 
+        status: 'OK', 
+        timestamp: new Date(),
+        uptime: process.uptime(),
+        version: '1.0.0'
+    });
+});
+
+app.get('/api/info', async (req, res) => {
+    res.json({
+        success: true,
+        app: 'Spokio Backend',
+        version: '1.0.0',
+        storage: STORAGE_DRIVER === 'sqlite' ? 'SQLite' : 'JSON Files',
+        endpoints: {
+            auth: [
+                '/api/users/register', '/api/users/login', '/api/users/token/refresh', '/api/users/logout',
+                '/api/users/password/forgot', '/api/users/password/reset', '/api/users/email/verify'
+            ],
+            user: [
+                '/api/users/profile', '/api/users/sessions', '/api/users/emergency-contacts',
+                '/api/users/emergency-contact-requests', '/api/users/emergency-settings'
+            ],
+            phrases: ['/api/phrases', '/api/phrases/export', '/api/phrases/import'],
+            boards: ['/api/boards'],
+            library: ['/api/library', '/api/library/categories', '/api/library/sets'],
+            predictions: [
+                '/api/predictions/predict', '/api/predictions/suggest', '/api/predictions/suggest/pick',
+                '/api/predictions/languages'
+            ],
+            community: ['/api/community/groups', '/api/community/invites', '/api/community/stats'],
+            emergency: ['/api/emergency/alert', '/api/emergency/alerts'],
+            safety: ['/api/safety/location', '/api/safety/zones', '/api/safety/check-ins'],
+            voices: ['/api/voices', '/api/voices/languages', '/api/voices/custom'],
+            tts: ['/api/tts'],
+            stt: ['/api/stt'],
+            messages: ['/api/messages/send'],
+            search: ['/api/search'],
+            analytics: ['/api/analytics/usage', '/api/analytics/top', '/api/analytics/vocabulary', '/api/analytics/events']
+        }
+    });
+});
+
+// ============================================
+// ROUTES - AUTHENTICATION & USER
+// ============================================
+
+// Register User
+app.post('/api/users/register', rateLimit('register'), validateRequest(SCHEMAS.register), async (req, res) => {
+    try {
+        const { username, email, password } = req.body;
+
+        if (db.users.find({ email }) || db.users.find({ username })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email or username already exists'
+            });
+        }
+
+        const salt = await bcryptjs.genSalt(10);
+        const hashedPassword = await bcryptjs.hash(password, salt);
+
+        const defaults = defaultUserFields();
+        const newUser = {
+            id: generateId(),
+            username,
+            email,
+            password: hashedPassword,
+            ...defaults,
+            profile: { ...defaults.profile, name: username },
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        // Re-check under the lock: another registration may have landed while hashing
+        const created = await db.users.transaction(users => {
+            if (users.find({ email }) || users.find({ username })) return null;
+            return users.insert(newUser);
+        });
+
+        if (!created) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email or username already exists'
+            });
+        }
+
+        const tokens = await createSession(newUser, req);
+        await sendVerificationEmail(newUser);
+
+        const userResponse = { ...newUser };
+        delete userResponse.password;
+
+        res.status(201).json({
+            success: true,
+            message: 'User registered successfully',
+            ...tokens,
+            user: userResponse
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Login User
+app.post('/api/users/login', rateLimit('login'), validateRequest(SCHEMAS.login), async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        const user = db.users.find({ email });
+
+        // Unknown emails and locked accounts get the same answer as a wrong
+        // password, after the same bcrypt work, so neither the response nor
+        // its timing tells whether an email is registered
+        const isPasswordValid = await bcryptjs.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+        const isLocked = Boolean(user && user.lockedUntil && new Date(user.lockedUntil) > new Date());
+
+        if (!user || isLocked) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid credentials'
+            });
+        }
+
+        if (!isPasswordValid) {
+            await db.users.update(user.id, u => {
+                u.failedLoginAttempts = (u.failedLoginAttempts || 0) + 1;
+                if (u.failedLoginAttempts >= LOGIN_MAX_FAILURES) {
+                    u.lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_MINUTES * MINUTE_MS);
+                    u.failedLoginAttempts = 0;
+                }
+                return u;
+            });
+
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid credentials'
+            });
+        }
+
+        user.lastLogin = new Date();
+        user.failedLoginAttempts = 0;
+        user.lockedUntil = null;
+        await db.users.update(user.id, {
+            lastLogin: user.lastLogin,
+            failedLoginAttempts: 0,
+            lockedUntil: null
+        });
+
+        const tokens = await createSession(user, req);
+
+        const userResponse = { ...user };
+        delete userResponse.password;
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            ...tokens,
+            user: userResponse
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Refresh Access Token
+app.post('/api/users/token/refresh', rateLimit('refreshToken'), validateRequest(SCHEMAS.refreshToken), async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        const [sessionId, secret = ''] = refreshToken.split('.');
+        const presentedHash = hashToken(secret);
+        const nextSecret = newRefreshSecret();
+        let outcome = 'invalid';
+
+        // Compare and rotate under the collection lock so two refreshes
+        // with the same token cannot both succeed
+        const session = await db.sessions.update(sessionId, s => {
+            if (!isSessionActive(s)) {
+                outcome = 'inactive';
+            } else if (presentedHash === s.refreshTokenHash) {
+                outcome = 'rotated';
+                s.previousTokenHash = s.refreshTokenHash;
+                s.refreshTokenHash = hashToken(nextSecret);
+                s.lastUsedAt = new Date();
+            } else if (presentedHash === s.previousTokenHash) {
+                // An already-rotated token came back: treat it as stolen
+                outcome = 'reused';
+                s.revokedAt = new Date();
+                s.revokedReason = 'refresh-token-reuse';
+            }
+            return s;
+        });
+
+        if (!session || outcome !== 'rotated') {
+            return res.status(401).json({
+                success: false,
+                message: outcome === 'reused'
+                    ? 'Refresh token was already used; session revoked'
+                    : 'Invalid or expired refresh token'
+            });
+        }
+
+        const user = db.users.findById(session.userId);
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            ...tokenResponse(signAccessToken(user.id, session.id), `${session.id}.${nextSecret}`)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Logout
+app.post('/api/users/logout', authMiddleware, validateRequest(SCHEMAS.logout), async (req, res) => {
+    try {
+        const { allDevices } = req.body;
+
+        if (allDevices === true) {
+            const revoked = await revokeUserSessions(req.user.id, 'logout-all');
+            return res.json({
+                success: true,
+                message: 'Logged out of all devices',
+                revoked
+            });
+        }
+
+        await revokeSession(req.session.id, 'logout');
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// List Active Sessions
+app.get('/api/users/sessions', authMiddleware, async (req, res) => {
+    try {
+        const sessions = db.sessions
+            .filter({ userId: req.user.id })
+            .filter(isSessionActive)
+            .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt))
+            .map(s => sessionResponse(s, req.session.id));
+
+        res.json({
+            success: true,
+            sessions
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Revoke Session
+app.delete('/api/users/sessions/:id', authMiddleware, async (req, res) => {
+    try {
+        const session = db.sessions.findById(req.params.id);
+
+        if (!isSessionActive(session) || session.userId !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        await revokeSession(session.id, 'revoked-by-user');
+
+        res.json({
+            success: true,
+            message: 'Session revoked'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Request Password Reset
+app.post('/api/users/password/forgot', rateLimit('passwordForgot'), validateRequest(SCHEMAS.forgotPassword), async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        // Same answer whether or not the address is registered
+        const user = db.users.find({ email });
+        if (user) {
+            await sendPasswordResetEmail(user);
+        }
+
+        res.json({
+            success: true,
+            message: 'If that email is registered, a reset link has been sent'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Reset Password
+app.post('/api/users/password/reset', rateLimit('passwordReset'), validateRequest(SCHEMAS.resetPassword), async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        const record = await consumeAccountToken(token, 'password-reset');
+
+        if (!record) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reset link is invalid or has expired'
+            });
+        }
+
+        const salt = await bcryptjs.genSalt(10);
+        const hashedPassword = await bcryptjs.hash(password, salt);
+
+        // The reset link proves control of the mailbox, so it also verifies it
+        const user = await db.users.update(record.userId, u => {
+            u.password = hashedPassword;
+            u.failedLoginAttempts = 0;
+            u.lockedUntil = null;
+            if (!u.emailVerified) {
+                u.emailVerified = true;
+                u.emailVerifiedAt = new Date();
+            }
+            u.updatedAt = new Date();
+            return u;
+        });
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reset link is invalid or has expired'
+            });
+        }
+
+        // Sign out everywhere - whoever had the old password is locked out
+        await revokeUserSessions(user.id, 'password-reset');
+
+        res.json({
+            success: true,
+            message: 'Password has been reset. Please log in again.'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Verify Email Address
+app.post('/api/users/email/verify', rateLimit('emailVerify'), validateRequest(SCHEMAS.verifyEmail), async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        const record = await consumeAccountToken(token, 'email-verification');
+        const user = record && await db.users.update(record.userId, {
+            emailVerified: true,
+            emailVerifiedAt: new Date(),
+            updatedAt: new Date()
+        });
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verification link is invalid or has expired'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Email address verified'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Resend Verification Email
+app.post('/api/users/email/verify/resend', authMiddleware, rateLimit('emailResend'), async (req, res) => {
+    try {
+        if (req.user.emailVerified) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email address is already verified'
+            });
+        }
+
+        await sendVerificationEmail(req.user);
+
+        res.json({
+            success: true,
+            message: 'Verification email sent'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Get User Profile
+app.get('/api/users/profile', authMiddleware, async (req, res) => {
+    try {
+        const userResponse = { ...req.user };
+        delete userResponse.password;
+        
+        res.json({
+            success: true,
+            user: userResponse
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Update User Profile
+app.put('/api/users/profile', authMiddleware, validateRequest(SCHEMAS.updateProfile), async (req, res) => {
+    try {
+        const { profile, accessibility, settings, voicePreferences } = req.body;
+
+        // An empty preferredVoice clears the choice; anything else must be a voice this user can pick
+        const preferredVoice = voicePreferences && voicePreferences.preferredVoice;
+        if (preferredVoice && !(await voiceRegistry.find(preferredVoice, req.user.id))) {
+            return res.status(400).json(validationFailed([
+                { field: 'voicePreferences.preferredVoice', message: 'is not a known voice; see /api/voices' }
+            ]));
+        }
+
+        const user = await db.users.update(req.user.id, u => {
+            if (profile) {
+                u.profile = { ...u.profile, ...profile };
+            }
+            if (accessibility) {
+                u.accessibility = { ...u.accessibility, ...accessibility };
+            }
+            if (settings) {
+                u.settings = { ...u.settings, ...settings };
+            }
+            if (voicePreferences) {
+                u.voicePreferences = { ...u.voicePreferences, ...voicePreferences };
+            }
+            u.updatedAt = new Date();
+            return u;
+        });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const userResponse = { ...user };
+        delete userResponse.password;
+
+        res.json({
+            success: true,
+            message: 'Profile updated successfully',
+            user: userResponse
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Add Emergency Contact
+app.post('/api/users/emergency-contacts', authMiddleware, validateRequest(SCHEMAS.emergencyContact), async (req, res) => {
+    try {
+        const { name, phone, email, relationship, userId, webhookUrl, channels } = req.body;
+
+        if (userId && (userId === req.user.id || !db.users.findById(userId))) {
+            return res.status(400).json(validationFailed([{ field: 'userId', message: 'is not another Spokio user' }]));
+        }
+
+        const urlError = webhookUrl && webhookUrlError(webhookUrl);
+        if (urlError) {
+            return res.status(400).json(validationFailed([{ field: 'webhookUrl', message: urlError }]));
+        }
+
+        const contactId = generateId();
+
+        const user = await db.users.update(req.user.id, u => {
+            u.emergencyContacts.push({
+                id: contactId,
+                name,
+                phone,
+                email: email || undefined,
+                relationship,
+                userId: userId || null,
+                // A linked Spokio user has to accept before they receive
+                // pushes or join the alert circle
+                status: userId ? 'pending' : null,
+                webhookUrl: webhookUrl || null,
+                channels: channels ? [...new Set(channels)] : []
+            });
+            return u;
+        });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (userId) {
+            io.to(`user-${userId}`).emit('emergency-contact-request', contactRequestView(user, contactId));
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Emergency contact added',
+            emergencyContacts: user.emergencyContacts
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Get Emergency Contacts
+app.get('/api/users/emergency-contacts', authMiddleware, async (req, res) => {
+    try {
+        const user = db.users.findById(req.user.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            emergencyContacts: user.emergencyContacts
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Delete Emergency Contact
+app.delete('/api/users/emergency-contacts/:id', authMiddleware, async (req, res) => {
+    try {
+        const user = await db.users.update(req.user.id, u => {
+            u.emergencyContacts = u.emergencyContacts.filter(
+                contact => contact.id !== req.params.id
+            );
+            return u;
+        });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Emergency contact deleted'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Get Emergency Contact Requests - people who listed you as their
+// emergency contact, pending or accepted
+app.get('/api/users/emergency-contact-requests', authMiddleware, async (req, res) => {
+    try {
+        const requests = db.users
+            .filter(u => (u.emergencyContacts || []).some(c => c.userId === req.user.id && c.status !== 'declined'))
+            .flatMap(u => u.emergencyContacts
+                .filter(c => c.userId === req.user.id && c.status !== 'declined')
+                .map(c => contactRequestView(u, c.id)));
+
+        res.json({
+            success: true,
+            requests
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Accept or Decline being an emergency contact. Declining also works
+// after accepting, and takes you out of future alert circles.
+['accept', 'decline'].forEach(action => {
+    app.post(`/api/users/emergency-contact-requests/:contactId/${action}`, authMiddleware, async (req, res) => {
+        try {
+            const owner = db.users.find(u =>
+                (u.emergencyContacts || []).some(c => c.id === req.params.contactId && c.userId === req.user.id));
+
+            if (!owner) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Contact request not found'
+                });
+            }
+
+            const status = action === 'accept' ? 'accepted' : 'declined';
+            const updated = await db.users.update(owner.id, u => {
+                const contact = u.emergencyContacts.find(c => c.id === req.params.contactId);
+                if (contact && contact.userId === req.user.id) contact.status = status;
+                return u;
+            });
+
+            const request = contactRequestView(updated, req.params.contactId);
+            io.to(`user-${owner.id}`).emit('emergency-contact-response', {
+                contactId: req.params.contactId,
+                userId: req.user.id,
+                status
+            });
+
+            res.json({
+                success: true,
+                message: status === 'accepted' ? 'You are now an emergency contact' : 'Emergency contact request declined',
+                request
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: error.message
+            });
+        }
+    });
+});
+
+// Get Emergency Settings
+app.get('/api/users/emergency-settings', authMiddleware, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            emergencySettings: req.user.emergencySettings || defaultEmergencySettings()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Update Emergency Settings: who receives your alerts (trusted groups,
+// nearby responders, all your groups on escalation), and whether you
+// answer alerts raised within `radiusKm` of a point
+app.put('/api/users/emergency-settings', authMiddleware, validateRequest(SCHEMAS.emergencySettings), async (req, res) => {
+    try {
+        const { trustedGroupIds, alertNearbyResponders, escalateToAllGroups, nearbyResponder } = req.body;
+
+        if (trustedGroupIds) {
+            const foreign = trustedGroupIds.filter(groupId => {
+                const group = db.groups.findById(groupId);
+                return !group || !group.members.includes(req.user.id);
+            });
+            if (foreign.length > 0) {
+                return res.status(400).json(validationFailed(foreign.map(groupId => ({
+                    field: `trustedGroupIds[${trustedGroupIds.indexOf(groupId)}]`,
+                    message: 'is not a group you belong to'
+                }))));
+            }
+        }
+
+        const current = { ...defaultEmergencySettings(), ...req.user.emergencySettings };
+        const responder = { ...current.nearbyResponder, ...(nearbyResponder || {}) };
+        if (responder.enabled && !hasCoordinates(responder)) {
+            return res.status(400).json(validationFailed([{
+                field: 'nearbyResponder',
+                message: 'needs latitude and longitude when enabled'
+            }]));
+        }
+
+        const user = await db.users.update(req.user.id, u => {
+            u.emergencySettings = {
+                trustedGroupIds: trustedGroupIds ? [...new Set(trustedGroupIds)] : current.trustedGroupIds,
+                alertNearbyResponders: alertNearbyResponders !== undefined ? alertNearbyResponders : current.alertNearbyResponders,
+                escalateToAllGroups: escalateToAllGroups !== undefined ? escalateToAllGroups : current.escalateToAllGroups,
+                nearbyResponder: responder
+            };
+            return u;
+        });
+
+        res.json({
+            success: true,
+            message: 'Emergency settings updated',
+            emergencySettings: user.emergencySettings
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// ============================================
+// ROUTES - PHRASES
+// ============================================
+
+// Create Phrase
+app.post('/api/phrases', authMiddleware, validateRequest(SCHEMAS.createPhrase), async (req, res) => {
+    try {
+        const { text, language, category, tags } = req.body;
+
+        const newPhrase = await savePhrase(req.user, {
+            text,
+            language: language || userLanguage(req.user),
+            category: category || 'custom',
+            tags: tags || []
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Phrase saved successfully',
+            phrase: newPhrase
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Get All Phrases
+app.get('/api/phrases', authMiddleware, validateRequest(SCHEMAS.listPhrases), async (req, res) => {
+    try {
+        const { category, language, search, limit = 100, skip = 0 } = req.query;
+        let phrases = db.phrases.filter({ userId: req.user.id });
+
+        if (category) {
+            phrases = phrases.filter(p => p.category === category);
+        }
+        if (language) {
+            phrases = phrases.filter(p => p.language === language);
+        }
+        if (search) {
+            phrases = phrases.filter(p => p.text.toLowerCase().includes(search.toLowerCase()));
+        }
+
+        phrases.sort((a, b) => b.usageCount - a.usageCount || new Date(b.createdAt) - new Date(a.createdAt));
+        const total = phrases.length;
+
+        res.json({
+            success: true,
+            phrases: phrases.slice(skip, skip + limit),
+            total
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Export Phrases (or one board) as CSV, OBF or OBZ
+app.get('/api/phrases/export', authMiddleware, validateRequest(SCHEMAS.exportPhrases), async (req, res) => {
+    try {
+        const { format = 'obz', category, language, boardId } = req.query;
+        let board = null;
+
+        if (boardId) {
+            board = db.boards.findById(boardId);
+            if (!board || board.userId !== req.user.id) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Board not found'
+                });
+            }
+        }
+
+        const phrases = db.phrases
+            .filter({ userId: req.user.id })
+            .filter(p => (!category || p.category === category) && (!language || p.language === language))
+            .sort((a, b) => a.category.localeCompare(b.category) || new Date(a.createdAt) - new Date(b.createdAt));
+
+        const { body, name } = buildExport(format, { board, phrases, locale: language || userLanguage(req.user) });
+        const { contentType, extension } = EXPORT_FORMATS[format];
+        const filename = `${name.replace(/[^\w.-]+/g, '-') || 'phrases'}.${extension}`;
+
+        res.set('Content-Type', contentType);
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(body);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Upload bodies for imports; .obf JSON is already parsed by express.json
+const importBody = [
+    express.raw({ type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'], limit: '10mb' }),
+    express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' })
+];
+
+// Import Phrases. Send the file as the request body: text/csv, an .obf
+// board as application/json, or an .obz archive as application/zip.
+// ?dryRun=true previews the result without saving anything.
+app.post('/api/phrases/import', authMiddleware, importBody, validateRequest(SCHEMAS.importPhrases), async (req, res) => {
+    try {
+        const { dryRun = false, category, language } = req.query;
+        const format = detectImportFormat(req);
+
+        const entries = parseImport(format, req.body);
+        if (entries.length > IMPORT_MAX_PHRASES) {
+            return res.status(413).json({
+                success: false,
+                message: `Imports are limited to ${IMPORT_MAX_PHRASES} phrases`
+            });
+        }
+
+        const plan = planImport(req.user, entries, { category, language });
+        const phrases = dryRun ? plan.phrases : await savePhrases(req.user, plan.phrases);
+
+        res.status(dryRun ? 200 : 201).json({
+            success: true,
+            message: dryRun ? 'Import preview' : `${phrases.length} phrases imported`,
+            dryRun,
+            format,
+            summary: {
+                total: entries.length,
+                imported: phrases.length,
+                duplicates: plan.duplicates.length,
+                invalid: plan.invalid.length
+            },
+            phrases,
+            duplicates: plan.duplicates,
+            invalid: plan.invalid
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Get Single Phrase
+app.get('/api/phrases/:id', authMiddleware, async (req, res) => {
+    try {
+        const phrase = db.phrases.findById(req.params.id);
+
+        if (!phrase || phrase.userId !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Phrase not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            phrase
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Update Phrase
+app.put('/api/phrases/:id', authMiddleware, validateRequest(SCHEMAS.updatePhrase), async (req, res) => {
+    try {
+        const existing = db.phrases.findById(req.params.id);
+
+        if (!existing || existing.userId !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Phrase not found'
+            });
+        }
+
+        const { text, category, tags, priority } = req.body;
+
+        const phrase = await db.phrases.update(req.params.id, p => {
+            if (text) p.text = text;
+            if (category) p.category = category;
+            if (tags) p.tags = tags;
+            if (priority !== undefined) p.priority = priority;
+            p.updatedAt = new Date();
+            return p;
+        });
+
+        if (text) {
+            predictionEngine.learn(req.user.id, text, phrase.language);
+        }
+
+        res.json({
+            success: true,
+            message: 'Phrase updated successfully',
+            phrase
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Delete Phrase
+app.delete('/api/phrases/:id', authMiddleware, async (req, res) => {
+    try {
+        const phrase = db.phrases.findById(req.params.id);
+
+        if (!phrase || phrase.userId !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Phrase not found'
+            });
+        }
+
+        await db.phrases.remove(req.params.id);
+        predictionEngine.invalidate(req.user.id);
+        await removePhraseFromBoards(req.user.id, req.params.id);
+        await db.phraseRatings.removeWhere({ phraseId: req.params.id });
+        await db.phraseReports.removeWhere({ phraseId: req.params.id });
+
+        // Remove from user's saved phrases
+        await db.users.update(req.user.id, u => {
+            u.savedPhrases = u.savedPhrases.filter(id => id !== req.params.id);
+            return u;
+        });
+
+        res.json({
+            success: true,
+            message: 'Phrase deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Log Phrase Usage
+app.post('/api/phrases/:id/use', authMiddleware, validateRequest(SCHEMAS.phraseUse), async (req, res) => {
+    try {
+        const existing = db.phrases.findById(req.params.id);
+
+        if (!existing || existing.userId !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Phrase not found'
+            });
+        }
+
+        const phrase = await db.phrases.update(req.params.id, p => {
+            p.usageCount += 1;
+            p.lastUsed = new Date();
+            return p;
+        });
+
+        const language = phrase.language || DEFAULT_LANGUAGE;
+        predictionEngine.learn(req.user.id, phrase.text, language);
+
+        const { features, resolved } = buildSuggestionContext(req.user.id, req.body, language);
+        await recordSuggestionPick(req.user.id, phrase.text, phrase.id, features, language);
+        await recordPhraseUse(req.user.id, phrase, req.body.channel || 'spoken', resolved);
+
+        res.json({
+            success: true,
+            message: 'Usage logged',
+            phrase
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Get Frequent Phrases
+app.get('/api/phrases/stats/frequent', authMiddleware, async (req, res) => {
+    try {
+        let phrases = db.phrases.filter({ userId: req.user.id });
+
+        phrases.sort((a, b) => b.usageCount - a.usageCount);
+        phrases = phrases.slice(0, 10);
+
+        res.json({
+            success: true,
+            phrases
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// ============================================
+// ROUTES - BOARDS
+// ============================================
+
+// Create Board
+app.post('/api/boards', authMiddleware, validateRequest(SCHEMAS.createBoard), async (req, res) => {
+    try {
+        const { name, description, language, rows, columns } = req.body;
+
+        const board = {
+            id: generateId(),
+            userId: req.user.id,
+            name,
+            description: description || '',
+            language: language || userLanguage(req.user),
+            rows: rows || BOARD_DEFAULT_ROWS,
+            columns: columns || BOARD_DEFAULT_COLUMNS,
+            cells: [],
+            folders: [],
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        await db.boards.insert(board);
+
+        res.status(201).json({
+            success: true,
+            message: 'Board created successfully',
+            board
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Get All Boards
+app.get('/api/boards', authMiddleware, async (req, res) => {
+    try {
+        const boards = db.boards
+            .filter({ userId: req.user.id })
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+            .map(b => ({
+                id: b.id,
+                name: b.name,
+                description: b.description,
+                language: b.language,
+                rows: b.rows,
+                columns: b.columns,
+                cellCount: b.cells.length + b.folders.reduce((sum, f) => sum + f.cells.length, 0),
+                folderCount: b.folders.length,
+                updatedAt: b.updatedAt
+            }));
+
+        res.json({
+            success: true,
+            boards
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Get Single Board, with the phrases its cells point at
+app.get('/api/boards/:id', authMiddleware, async (req, res) => {
+    try {
+        const board = db.boards.findById(req.params.id);
+
+        if (!board || board.userId !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Board not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            board,
+            phrases: boardPhrases(board)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Update Board
+app.put('/api/boards/:id', authMiddleware, validateRequest(SCHEMAS.updateBoard), async (req, res) => {
+    try {
+        const { name, description, language, rows, columns } = req.body;
+
+        const result = await updateBoard(req.params.id, req.user.id, board => {
+            if (name) board.name = name;
+            if (description !== undefined) board.description = description;
+            if (language) board.language = language;
+            return resizeGrid(board, rows, columns);
+        });
+
+        sendBoardResult(res, result, 'Board updated successfully');
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Delete Board (phrases are kept)
+app.delete('/api/boards/:id', authMiddleware, async (req, res) => {
+    try {
+        const board = db.boards.findById(req.params.id);
+
+        if (!board || board.userId !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Board not found'
+            });
+        }
+
+        await db.boards.remove(req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Board deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Add Folder (and a top-level cell that opens it)
+app.post('/api/boards/:id/folders', authMiddleware, validateRequest(SCHEMAS.createFolder), async (req, res) => {
+    try {
+        const { name, rows, columns, row, column } = req.body;
+        const style = pickCellStyle(req.body);
+
+        const folder = {
+            id: generateId(),
+            name,
+            icon: style.icon || null,
+            color: style.color || null,
+            symbol: style.symbol || null,
+            rows: rows || BOARD_DEFAULT_ROWS,
+            columns: columns || BOARD_DEFAULT_COLUMNS,
+            cells: []
+        };
+
+        const result = await updateBoard(req.params.id, req.user.id, board => {
+            const rejection = placeCell(board, {
+                id: generateId(),
+                type: 'folder',
+                folderId: folder.id,
+                label: style.label || name,
+                icon: folder.icon,
+                color: folder.color,
+                symbol: folder.symbol
+            }, { row, column });
+            if (rejection) return rejection;
+
+            board.folders.push(folder);
+            return null;
+        });
+
+        sendBoardResult(res, { ...result, extra: { folder } }, 'Folder created successfully', 201);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Update Folder
+app.put('/api/boards/:id/folders/:folderId', authMiddleware, validateRequest(SCHEMAS.updateFolder), async (req, res) => {
+    try {
+        const { name, rows, columns } = req.body;
+        const style = pickCellStyle(req.body);
+
+        const result = await updateBoard(req.params.id, req.user.id, board => {
+            const folder = boardContainer(board, req.params.folderId);
+            if (!folder || folder === board) {
+                return { status: 404, message: 'Folder not found' };
+            }
+
+            const rejection = resizeGrid(folder, rows, columns);
+            if (rejection) return rejection;
+
+            if (name) folder.name = name;
+            ['icon', 'color', 'symbol'].forEach(field => {
+                if (style[field] !== undefined) folder[field] = style[field];
+            });
+
+            // Keep the cell that opens the folder in step
+            const opener = board.cells.find(c => c.type === 'folder' && c.folderId === folder.id);
+            if (opener) Object.assign(opener, style);
+            return null;
+        });
+
+        sendBoardResult(res, result, 'Folder updated successfully');
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Delete Folder and its cells (phrases are kept)
+app.delete('/api/boards/:id/folders/:folderId', authMiddleware, async (req, res) => {
+    try {
+        const result = await updateBoard(req.params.id, req.user.id, board => {
+            if (!board.folders.some(f => f.id === req.params.folderId)) {
+                return { status: 404, message: 'Folder not found' };
+            }
+
+            board.folders = board.folders.filter(f => f.id !== req.params.folderId);
+            board.cells = board.cells.filter(c => c.folderId !== req.params.folderId);
+            return null;
+        });
+
+        sendBoardResult(res, result, 'Folder deleted successfully');
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Add Phrase Cell, on the board or inside a folder
+app.post('/api/boards/:id/cells', authMiddleware, validateRequest(SCHEMAS.createCell), async (req, res) => {
+    try {
+        const { phraseId, folderId, row, column } = req.body;
+        const phrase = db.phrases.findById(phraseId);
+
+        if (!phrase || phrase.userId !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Phrase not found'
+            });
+        }
+
+        const cell = {
+            id: generateId(),
+            type: 'phrase',
+            phraseId,
+            label: null,
+            icon: null,
+            color: null,
+            symbol: null,
+            ...pickCellStyle(req.body)
+        };
+
+        const result = await updateBoard(req.params.id, req.user.id, board => {
+            const container = boardContainer(board, folderId);
+            if (!container) {
+                return { status: 404, message: 'Folder not found' };
+            }
+            return placeCell(container, cell, { row, column });
+        });
+
+        sendBoardResult(res, { ...result, extra: { cell } }, 'Cell added successfully', 201);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Update Cell style or position
+app.put('/api/boards/:id/cells/:cellId', authMiddleware, validateRequest(SCHEMAS.updateCell), async (req, res) => {
+    try {
+        const { row, column } = req.body;
+
+        const result = await updateBoard(req.params.id, req.user.id, board => {
+            const found = findBoardCell(board, req.params.cellId);
+            if (!found) {
+                return { status: 404, message: 'Cell not found' };
+            }
+
+            const { container, cell } = found;
+            const nextRow = row !== undefined ? row : cell.row;
+            const nextColumn = column !== undefined ? column : cell.column;
+            const error = placementError(container, nextRow, nextColumn, cell.id);
+            if (error) {
+                return { status: 409, message: error };
+            }
+
+            Object.assign(cell, pickCellStyle(req.body), { row: nextRow, column: nextColumn });
+            return null;
+        });
+
+        sendBoardResult(res, result, 'Cell updated successfully');
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Remove Cell (the phrase itself is kept)
+app.delete('/api/boards/:id/cells/:cellId', authMiddleware, async (req, res) => {
+    try {
+        const result = await updateBoard(req.params.id, req.user.id, board => {
+            const found = findBoardCell(board, req.params.cellId);
+            if (!found) {
+                return { status: 404, message: 'Cell not found' };
+            }
+            if (found.cell.type === 'folder') {
+                return { status: 409, message: 'Delete the folder to remove its cell' };
+            }
+
+            found.container.cells = found.container.cells.filter(c => c.id !== req.params.cellId);
+            return null;
+        });
+
+        sendBoardResult(res, result, 'Cell removed successfully');
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Reorder Cells: move any number of cells in one grid at once, so
+// swaps do not collide halfway through
+app.put('/api/boards/:id/layout', authMiddleware, validateRequest(SCHEMAS.boardLayout), async (req, res) => {
+    try {
+        const { folderId, cells } = req.body;
+
+        const result = await updateBoard(req.params.id, req.user.id, board => {
+            const container = boardContainer(board, folderId);
+            if (!container) {
+                return { status: 404, message: 'Folder not found' };
+            }
+
+            const moves = new Map(cells.map(c => [c.id, c]));
+            const unknown = [...moves.keys()].filter(id => !container.cells.some(c => c.id === id));
+            if (unknown.length > 0) {
+                return { status: 404, message: `Cells not found: ${unknown.join(', ')}` };
+            }
+
+            const next = container.cells.map(c => moves.has(c.id)
+                ? { ...c, row: moves.get(c.id).row, column: moves.get(c.id).column }
+                : c);
+
+            const taken = new Set();
+            for (const cell of next) {
+                if (!isInsideGrid(container, cell.row, cell.column)) {
+                    return { status: 409, message: `Position ${cell.row},${cell.column} is outside the ${container.rows}x${container.columns} grid` };
+                }
+                const slot = `${cell.row},${cell.column}`;
+                if (taken.has(slot)) {
+                    return { status: 409, message: `Position ${slot} is used by more than one cell` };
+                }
+                taken.add(slot);
+            }
+
+            container.cells = next;
+            return null;
+        });
+
+        sendBoardResult(res, result, 'Layout saved');
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// ============================================
+// ROUTES - PHRASE LIBRARY
+// ============================================
+
+// Publish Phrase
+app.post('/api/phrases/:id/publish', authMiddleware, requireVerifiedEmail, async (req, res) => {
+    try {
+        const existing = db.phrases.findById(req.params.id);
+
+        if (!existing || existing.userId !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Phrase not found'
+            });
+        }
+
+        const phrase = await db.phrases.update(req.params.id, p => {
+            if (!p.isPublic) {
+                p.isPublic = true;
+                p.publishedAt = new Date();
+            }
+            return p;
+        });
+
+        res.json({
+            success: true,
+            message: 'Phrase published to the library',
+            phrase
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Unpublish Phrase
+app.delete('/api/phrases/:id/publish', authMiddleware, async (req, res) => {
+    try {
+        const existing = db.phrases.findById(req.params.id);
+
+        if (!existing || existing.userId !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Phrase not found'
+            });
+        }
+
+        const phrase = await db.phrases.update(req.params.id, p => {
+            p.isPublic = false;
+            p.publishedAt = null;
+            return p;
+        });
+
+        res.json({
+            success: true,
+            message: 'Phrase removed from the library',
+            phrase
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Publish or Unpublish a Whole Category
+app.post('/api/phrases/publish', authMiddleware, requireVerifiedEmail, validateRequest(SCHEMAS.publishCategory), async (req, res) => {
+    try {
+        const { category, language, isPublic = true } = req.body;
+
+        const matching = db.phrases
+            .filter({ userId: req.user.id, category })
+            .filter(p => !language || p.language === language)
+            .filter(p => Boolean(p.isPublic) !== isPublic);
+
+        const now = new Date();
+        for (const phrase of matching) {
+            await db.phrases.update(phrase.id, p => {
+                p.isPublic = isPublic;
+                p.publishedAt = isPublic ? now : null;
+                return p;
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `${matching.length} phrases ${isPublic ? 'published' : 'unpublished'}`,
+            updated: matching.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Browse / Search the Library
+app.get('/api/library', authMiddleware, validateRequest(SCHEMAS.listLibrary), async (req, res) => {
+    try {
+        const { language, category, search, sort = 'popular', limit = 50, skip = 0 } = req.query;
+        let phrases = db.phrases.filter(isListed);
+
+        if (language) {
+            phrases = phrases.filter(p => p.language === language);
+        }
+        if (category) {
+            phrases = phrases.filter(p => p.category === category);
+        }
+        if (search) {
+            const needle = search.toLowerCase();
+            phrases = phrases.filter(p =>
+                p.text.toLowerCase().includes(needle) ||
+                (p.tags || []).some(tag => tag.toLowerCase().includes(needle))
+            );
+        }
+
+        phrases.sort(LIBRARY_SORTS[sort]);
+
+        res.json({
+            success: true,
+            phrases: phrases.slice(skip, skip + limit).map(libraryEntry),
+            total: phrases.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Library Categories
+app.get('/api/library/categories', authMiddleware, validateRequest(SCHEMAS.listLibrary), async (req, res) => {
+    try {
+        const { language } = req.query;
+        const counts = {};
+
+        db.phrases
+            .filter(isListed)
+            .filter(p => !language || p.language === language)
+            .forEach(p => {
+                counts[p.category] = (counts[p.category] || 0) + 1;
+            });
+
+        const categories = Object.entries(counts)
+            .map(([category, count]) => ({ category, count }))
+            .sort((a, b) => b.count - a.count);
+
+        res.json({
+            success: true,
+            categories
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Phrase Sets: one author's published phrases in one category
+app.get('/api/library/sets', authMiddleware, validateRequest(SCHEMAS.listLibrary), async (req, res) => {
+    try {
+        const { language, category } = req.query;
+        const sets = new Map();
+
+        db.phrases
+            .filter(isListed)
+            .filter(p => (!language || p.language === language) && (!category || p.category === category))
+            .forEach(p => {
+                const key = `${p.userId}|${p.category}|${p.language}`;
+                if (!sets.has(key)) {
+                    sets.set(key, { authorId: p.userId, category: p.category, language: p.language, count: 0, copyCount: 0 });
+                }
+                const set = sets.get(key);
+                set.count += 1;
+                set.copyCount += p.copyCount || 0;
+            });
+
+        const result = [...sets.values()]
+            .sort((a, b) => b.copyCount - a.copyCount || b.count - a.count)
+            .map(set => {
+                const author = db.users.findById(set.authorId);
+                return { ...set, author: author ? { id: author.id, username: author.username, name: author.profile.name } : null };
+            });
+
+        res.json({
+            success: true,
+            sets: result
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Copy a Phrase Set
+app.post('/api/library/sets/copy', authMiddleware, validateRequest(SCHEMAS.copyLibrarySet), async (req, res) => {
+    try {
+        const { authorId, category, language } = req.body;
+
+        const sources = db.phrases
+            .filter({ userId: authorId, category })
+            .filter(p => isListed(p) && (!language || p.language === language));
+
+        if (sources.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Phrase set not found'
+            });
+        }
+
+        const phrases = await copyLibraryPhrases(req.user, sources);
+
+        res.status(201).json({
+            success: true,
+            message: `${phrases.length} phrases copied`,
+            phrases
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Get Single Library Phrase
+app.get('/api/library/:id', authMiddleware, async (req, res) => {
+    try {
+        const phrase = db.phrases.findById(req.params.id);
+
+        if (!isListed(phrase)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Phrase not found'
+            });
+        }
+
+        const own = db.phraseRatings.findById(`${phrase.id}:${req.user.id}`);
+
+        res.json({
+            success: true,
+            phrase: libraryEntry(phrase),
+            myRating: own ? own.rating : null
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Copy Library Phrase
+app.post('/api/library/:id/copy', authMiddleware, async (req, res) => {
+    try {
+        const source = db.phrases.findById(req.params.id);
+
+        if (!isListed(source)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Phrase not found'
+            });
+        }
+
+        const [phrase] = await copyLibraryPhrases(req.user, [source]);
+
+        if (!phrase) {
+            return res.status(409).json({
+                success: false,
+                message: 'Phrase is already in your collection'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Phrase copied',
+            phrase
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Rate Library Phrase (1-5, one rating per user, re-rating replaces it)
+app.post('/api/library/:id/rate', authMiddleware, validateRequest(SCHEMAS.rateLibraryPhrase), async (req, res) => {
+    try {
+        const phrase = db.phrases.findById(req.params.id);
+
+        if (!isListed(phrase)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Phrase not found'
+            });
+        }
+
+        if (phrase.userId === req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot rate your own phrase'
+            });
+        }
+
+        const id = `${phrase.id}:${req.user.id}`;
+        const { rating } = req.body;
+
+        await db.phraseRatings.transaction(ratings => {
+            if (ratings.findById(id)) {
+                return ratings.update(id, r => ({ ...r, rating, updatedAt: new Date() }));
+            }
+            return ratings.insert({ id, phraseId: phrase.id, userId: req.user.id, rating, createdAt: new Date(), updatedAt: new Date() });
+        });
+
+        const updated = await refreshPhraseRating(phrase.id);
+
+        res.json({
+            success: true,
+            message: 'Rating saved',
+            phrase: libraryEntry(updated)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Report Library Phrase
+app.post('/api/library/:id/report', authMiddleware, rateLimit('libraryReport'), validateRequest(SCHEMAS.reportLibraryPhrase), async (req, res) => {
+    try {
+        const phrase = db.phrases.findById(req.params.id);
+
+        if (!isListed(phrase)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Phrase not found'
+            });
+        }
+
+        const id = `${phrase.id}:${req.user.id}`;
+        const { reason, details } = req.body;
+
+        const report = await db.phraseReports.transaction(reports => {
+            if (reports.findById(id)) return null;
+            return reports.insert({
+                id,
+                phraseId: phrase.id,
+                userId: req.user.id,
+                reason,
+                details: details || '',
+                createdAt: new Date()
+            });
+        });
+
+        if (!report) {
+            return res.status(409).json({
+                success: false,
+                message: 'You have already reported this phrase'
+            });
+        }
+
+        await db.phrases.update(phrase.id, p => {
+            p.reportCount = db.phraseReports.count({ phraseId: p.id });
+            return p;
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Report received'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// ============================================
+// ROUTES - PREDICTIONS
+// ============================================
+
+// Get Languages With Seed Vocabularies
+app.get('/api/predictions/languages', async (req, res) => {
+    try {
+        const languages = [...seedPacks.values()].map(pack => ({
+            language: pack.language,
+            name: pack.name,
+            spaceDelimited: pack.spaceDelimited
+        }));
+
+        res.json({
+            success: true,
+            languages,
+            default: DEFAULT_LANGUAGE
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Get AI Predictions
+app.post('/api/predictions/predict', authMiddleware, validateRequest(SCHEMAS.predict), async (req, res) => {
+    try {
+        const { text } = req.body;
+        const language = req.body.language || userLanguage(req.user);
+
+        if (!text || text.trim().length === 0) {
+            return res.json({
+                success: true,
+                predictions: [],
+                nextWords: [],
+                language
+            });
+        }
+
+        const userPhrases = db.phrases
+            .filter({ userId: req.user.id })
+            .filter(p => (p.language || DEFAULT_LANGUAGE) === language);
+        const { predictions, nextWords } = predictionEngine.predict(req.user.id, text, userPhrases, language);
+
+        res.json({
+            success: true,
+            predictions,
+            nextWords,
+            language
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Get Smart Suggestions
+app.post('/api/predictions/suggest', authMiddleware, validateRequest(SCHEMAS.suggest), async (req, res) => {
+    try {
+        const { context, limit } = req.body;
+        const language = req.body.language || userLanguage(req.user);
+
+        const { features, resolved } = buildSuggestionContext(req.user.id, req.body, language);
+        const ranked = rankSuggestions(req.user.id, { features, category: context, language }, limit);
+        // The message being replied to stays on the server
+        const { lastMessage, ...shownContext } = resolved;
+
+        res.json({
+            success: true,
+            suggestions: ranked.map(s => s.text),
+            ranked,
+            context: shownContext,
+            language
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Record Picked Suggestion
+app.post('/api/predictions/suggest/pick', authMiddleware, validateRequest(SCHEMAS.suggestionPick), async (req, res) => {
+    try {
+        const { text, phraseId } = req.body;
+        const language = req.body.language || userLanguage(req.user);
+
+        const { features } = buildSuggestionContext(req.user.id, req.body, language);
+        await recordSuggestionPick(req.user.id, text, phraseId, features, language);
+        predictionEngine.learn(req.user.id, text, language);
+
+        res.json({
+            success: true,
+            message: 'Suggestion pick recorded'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// ============================================
+// ROUTES - ANALYTICS
+// ============================================
+
+// Reject reversed or oversized reporting windows; null when fine
+function analyticsWindowError({ start, end }) {
+    if (start > end) return '"from" must be before "to"';
+    if (end - start > 3660 * DAY_MS) return 'Reporting window is limited to 10 years';
+    return null;
+}
+
+// Usage Over Time
+app.get('/api/analytics/usage', authMiddleware, validateRequest(SCHEMAS.analytics), async (req, res) => {
+    try {
+        const { interval = 'day', timezoneOffset = 0, channel, category, phraseId } = req.query;
+        const window = analyticsWindow(req.query);
+
+        const windowError = analyticsWindowError(window);
+        if (windowError) {
+            return res.status(400).json({
+                success: false,
+                message: windowError
+            });
+        }
+
+        const events = usageEvents(req.user.id, { ...window, channel, category, phraseId });
+        const buckets = new Map(periodLabels(window.start, window.end, interval, timezoneOffset)
+            .map(period => [period, { period, count: 0, channels: {} }]));
+
+        events.forEach(e => {
+            const bucket = buckets.get(periodLabel(e.createdAt, interval, timezoneOffset));
+            if (!bucket) return;
+            bucket.count += 1;
+            bucket.channels[e.channel] = (bucket.channels[e.channel] || 0) + 1;
+        });
+
+        res.json({
+            success: true,
+            from: window.start,
+            to: window.end,
+            interval,
+            total: events.length,
+            timeline: [...buckets.values()]
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Top Phrases, Overall and per Category
+app.get('/api/analytics/top', authMiddleware, validateRequest(SCHEMAS.analytics), async (req, res) => {
+    try {
+        const { channel, limit = 10 } = req.query;
+        const window = analyticsWindow(req.query);
+
+        const windowError = analyticsWindowError(window);
+        if (windowError) {
+            return res.status(400).json({
+                success: false,
+                message: windowError
+            });
+        }
+
+        const events = usageEvents(req.user.id, { ...window, channel });
+
+        const byCategory = new Map();
+        const channels = {};
+        events.forEach(e => {
+            if (!byCategory.has(e.category)) byCategory.set(e.category, []);
+            byCategory.get(e.category).push(e);
+            channels[e.channel] = (channels[e.channel] || 0) + 1;
+        });
+
+        const categories = [...byCategory.entries()]
+            .map(([category, categoryEvents]) => ({
+                category,
+                count: categoryEvents.length,
+                phrases: topPhrases(categoryEvents, 3)
+            }))
+            .sort((a, b) => b.count - a.count);
+
+        res.json({
+            success: true,
+            from: window.start,
+            to: window.end,
+            total: events.length,
+            phrases: topPhrases(events, limit),
+            categories,
+            channels
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Vocabulary Growth: phrases saved and distinct words used, per period
+app.get('/api/analytics/vocabulary', authMiddleware, validateRequest(SCHEMAS.analytics), async (req, res) => {
+    try {
+        const { interval = 'week', timezoneOffset = 0 } = req.query;
+        const window = analyticsWindow(req.query);
+
+        const windowError = analyticsWindowError(window);
+        if (windowError) {
+            return res.status(400).json({
+                success: false,
+                message: windowError
+            });
+        }
+
+        // When each word was first used, across the user's whole history
+        const firstUse = new Map();
+        db.phraseEvents
+            .filter({ userId: req.user.id })
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            .forEach(e => {
+                tokenize(e.text, e.language).forEach(word => {
+                    if (!firstUse.has(word)) firstUse.set(word, new Date(e.createdAt));
+                });
+            });
+
+        const phrases = db.phrases.filter({ userId: req.user.id });
+        let totalPhrases = phrases.filter(p => new Date(p.createdAt) < window.start).length;
+        let totalWords = [...firstUse.values()].filter(at => at < window.start).length;
+
+        const buckets = new Map(periodLabels(window.start, window.end, interval, timezoneOffset)
+            .map(period => [period, { period, newPhrases: 0, totalPhrases: 0, newWords: 0, totalWords: 0 }]));
+        const countInto = (at, field) => {
+            if (at < window.start || at > window.end) return;
+            const bucket = buckets.get(periodLabel(at, interval, timezoneOffset));
+            if (bucket) bucket[field] += 1;
+        };
+
+        phrases.forEach(p => countInto(new Date(p.createdAt), 'newPhrases'));
+        firstUse.forEach(at => countInto(at, 'newWords'));
+
+        const timeline = [...buckets.values()].map(bucket => {
+            totalPhrases += bucket.newPhrases;
+            totalWords += bucket.newWords;
+            return { ...bucket, totalPhrases, totalWords };
+        });
+
+        res.json({
+            success: true,
+            from: window.start,
+            to: window.end,
+            interval,
+            timeline
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Usage History, newest first
+app.get('/api/analytics/events', authMiddleware, validateRequest(SCHEMAS.analytics), async (req, res) => {
+    try {
+        const { channel, category, phraseId, limit = 50, skip = 0 } = req.query;
+        const window = analyticsWindow(req.query);
+
+        const windowError = analyticsWindowError(window);
+        if (windowError) {
+            return res.status(400).json({
+                success: false,
+                message: windowError
+            });
+        }
+
+        const events = usageEvents(req.user.id, { ...window, channel, category, phraseId })
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        res.json({
+            success: true,
+            events: events.slice(skip, skip + limit),
+            total: events.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// ============================================
+// ROUTES - SEARCH
+// ============================================
+
+// Search Phrases, Library, Groups and Messages
+app.get('/api/search', authMiddleware, validateRequest(SCHEMAS.search), async (req, res) => {
+    try {
+        const { q, scope = '', tags = '', limit = 20, skip = 0 } = req.query;
+        const language = req.query.language || userLanguage(req.user);
+
+        const requested = scope.split(',').map(s => s.trim()).filter(Boolean);
+        const scopes = requested.length === 0 ? SEARCH_DEFAULT_SCOPES
+            : requested.includes('all') ? SEARCH_SCOPES
+                : requested;
+        const tagFilter = tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+
+        const query = parseSearchQuery(q, language);
+        const hits = query.length === 0
+            ? []
+            : ensureSearchIndex().search(query, searchFilter(req.user, scopes, tagFilter));
+
+        const results = hits
+            .slice(skip, skip + limit)
+            .map(hit => {
+                const doc = searchIndex.docs.get(hit.key);
+                const item = searchResult(doc, req.user);
+                return item && {
+                    type: doc.type,
+                    id: doc.id,
+                    score: Math.round(hit.score * 1000) / 1000,
+                    matched: hit.matched,
+                    item
+                };
+            })
+            .filter(Boolean);
+
+        res.json({
+            success: true,
+            query: q,
+            scopes,
+            total: hits.length,
+            results
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// ============================================
+// ROUTES - COMMUNITY
+// ============================================
+
+// Get All Groups
+app.get('/api/community/groups', validateRequest(SCHEMAS.listGroups), async (req, res) => {
+    try {
+        const { category, language, search } = req.query;
+        let groups = db.groups.filter({ isPublic: true });
+
+        if (category) {
+            groups = groups.filter(g => g.category === category);
+        }
+        if (language) {
+            groups = groups.filter(g => g.language === language);
+        }
+        if (search) {
+            groups = groups.filter(g => g.name.toLowerCase().includes(search.toLowerCase()));
+        }
+
+        groups.sort((a, b) => b.memberCount - a.memberCount);
+        groups = groups.slice(0, 50);
+
+        // Get creator info
+        groups = groups.map(g => {
+            const creator = db.users.findById(g.creator);
+            return {
+                ...groupView(g),
+                creator: creator ? { id: creator.id, username: creator.username, name: creator.profile.name } : null
+            };
+        });
+
+        res.json({
+            success: true,
+            groups
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Get My Group Invites
+app.get('/api/community/invites', authMiddleware, async (req, res) => {
+    try {
+        const invites = db.groups
+            .filter(g => (g.invites || []).some(i => i.userId === req.user.id))
+            .map(g => {
+                const invite = g.invites.find(i => i.userId === req.user.id);
+                return {
+                    group: { id: g.id, name: g.name, description: g.description, isPublic: g.isPublic, memberCount: g.memberCount },
+                    invitedBy: invite.by,
+                    createdAt: invite.createdAt
+                };
+            });
+
+        res.json({
+            success: true,
+            invites
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Get Group Details
+app.get('/api/community/groups/:id', authMiddleware, async (req, res) => {
+    try {
+        const group = db.groups.findById(req.params.id);
+
+        if (!group || !canSeeGroup(group, req.user.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        const creator = db.users.findById(group.creator);
+        const members = group.members.map(memberId => {
+            const user = db.users.findById(memberId);
+            return user ? { id: user.id, username: user.username, name: user.profile.name, avatar: user.profile.avatar, role: groupRole(group, user.id) } : null;
+        }).filter(m => m);
+
+        res.json({
+            success: true,
+            group: {
+                ...groupView(group, req.user.id),
+                creator: creator ? { id: creator.id, username: creator.username, name: creator.profile.name } : null,
+                members,
+                role: groupRole(group, req.user.id)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Create Group
+app.post('/api/community/groups', authMiddleware, requireVerifiedEmail, rateLimit('createGroup'), validateRequest(SCHEMAS.createGroup), async (req, res) => {
+    try {
+        const { name, description, category, language } = req.body;
+
+        const newGroup = {
+            id: generateId(),
+            name,
+            description: description || '',
+            category,
+            language: language || 'en-US',
+            members: [req.user.id],
+            moderators: [req.user.id],
+            creator: req.user.id,
+            bans: [],
+            mutes: [],
+            invites: [],
+            icon: '',
+            isPublic: true,
+            memberCount: 1,
+            messageCount: 0,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        await db.groups.insert(newGroup);
+
+        // Add to user's community groups
+        await db.users.update(req.user.id, u => {
+            u.communityGroups.push(newGroup.id);
+            return u;
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Group created successfully',
+            group: newGroup
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Join Group
+app.post('/api/community/groups/:id/join', authMiddleware, requireVerifiedEmail, async (req, res) => {
+    try {
+        let alreadyMember = false;
+        let refusal = null;
+        const group = await db.groups.update(req.params.id, g => {
+            if (g.members.includes(req.user.id)) {
+                alreadyMember = true;
+                return g;
+            }
+            if (activeRestriction(g.bans, req.user.id)) {
+                refusal = 'You are banned from this group';
+                return g;
+            }
+            const invited = g.invites.some(invite => invite.userId === req.user.id);
+            if (!g.isPublic && !invited) {
+                refusal = 'This group is private; you need an invite to join';
+                return g;
+            }
+            g.invites = g.invites.filter(invite => invite.userId !== req.user.id);
+            g.members.push(req.user.id);
+            g.memberCount = g.members.length;
+            return g;
+        });
+
+        if (!group || (refusal && !canSeeGroup(group, req.user.id))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        if (alreadyMember) {
+            return res.status(400).json({
+                success: false,
+                message: 'Already a member of this group'
+            });
+        }
+
+        if (refusal) {
+            return res.status(403).json({
+                success: false,
+                message: refusal
+            });
+        }
+
+        // Add to user's community groups
+        await db.users.update(req.user.id, u => {
+            u.communityGroups.push(req.params.id);
+            return u;
+        });
+
+        res.json({
+            success: true,
+            message: 'Successfully joined group',
+            group: groupView(group, req.user.id)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Leave Group. The owner has to transfer ownership or delete the group.
+app.post('/api/community/groups/:id/leave', authMiddleware, async (req, res) => {
+    try {
+        const group = db.groups.findById(req.params.id);
+
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        if (group.creator === req.user.id) {
+            return res.status(409).json({
+                success: false,
+                message: 'The owner cannot leave the group; transfer ownership or delete the group instead'
+            });
+        }
+
+        await removeGroupMember(group.id, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Successfully left group'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Get Group Messages
+app.get('/api/community/groups/:id/messages', authMiddleware, validateRequest(SCHEMAS.listMessages), async (req, res) => {
+    try {
+        const { limit = 50, skip = 0 } = req.query;
+        const group = db.groups.findById(req.params.id);
+
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        if (!group.members.includes(req.user.id) || activeRestriction(group.bans, req.user.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not a member of this group'
+            });
+        }
+
+        let messages = db.messages.filter({ groupId: req.params.id });
+
+        messages.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+        const totalMessages = messages.length;
+        messages = messages.slice(-limit - skip, -skip || undefined);
+
+        // Get user info for messages
+        messages = messages.map(m => {
+            const user = db.users.findById(m.userId);
+            return {
+                ...m,
+                user: user ? { id: user.id, username: user.username, name: user.profile.name, avatar: user.profile.avatar } : null
+            };
+        });
+
+        res.json({
+            success: true,
+            messages,
+            totalMessages
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Send Message to Group
+app.post('/api/community/groups/:id/messages', authMiddleware, requireVerifiedEmail, rateLimit('groupMessage'), validateRequest(SCHEMAS.groupMessage), async (req, res) => {
+    try {
+        const { content, phraseId } = req.body;
+
+        const group = db.groups.findById(req.params.id);
+
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        const postingError = groupPostingError(group, req.user.id);
+        if (postingError) {
+            return res.status(postingError.status).json({
+                success: false,
+                message: postingError.message
+            });
+        }
+
+        const newMessage = {
+            id: generateId(),
+            groupId: req.params.id,
+            userId: req.user.id,
+            content,
+            messageType: 'text',
+            reactions: {
+                thumbsUp: 0,
+                thumbsDown: 0,
+                heart: 0,
+                laugh: 0
+            },
+            isEdited: false,
+            createdAt: new Date()
+        };
+
+        await db.messages.insert(newMessage);
+        predictionEngine.learn(req.user.id, content, group.language);
+
+        // Update group message count
+        await db.groups.update(req.params.id, g => {
+            g.messageCount += 1;
+            return g;
+        });
+        await recordSentPhrase(req.user.id, phraseId, 'group', { groupId: req.params.id });
+
+        // Get user info
+        const user = req.user;
+
+        const messageResponse = {
+            ...newMessage,
+            user: user ? { id: user.id, username: user.username, name: user.profile.name, avatar: user.profile.avatar } : null
+        };
+
+        // Emit via Socket.IO
+        io.to(`group-${req.params.id}`).emit('new-message', {
+            success: true,
+            message: messageResponse
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Message sent',
+            data: messageResponse
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Update Group - name, description, category, language, icon and
+// visibility; owner and moderators
+app.put('/api/community/groups/:id', authMiddleware, rateLimit('groupModeration'), validateRequest(SCHEMAS.updateGroup), async (req, res) => {
+    try {
+        const group = db.groups.findById(req.params.id);
+
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        if (groupRank(group, req.user.id) < GROUP_ROLE_RANK.moderator) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the group owner and moderators can edit the group'
+            });
+        }
+
+        const changes = {};
+        ['name', 'description', 'category', 'language', 'icon', 'isPublic'].forEach(field => {
+            if (req.body[field] !== undefined && req.body[field] !== group[field]) {
+                changes[field] = { from: group[field], to: req.body[field] };
+            }
+        });
+
+        const updated = await db.groups.update(group.id, g => {
+            Object.entries(changes).forEach(([field, { to }]) => { g[field] = to; });
+            g.updatedAt = new Date();
+            return g;
+        });
+
+        if (Object.keys(changes).length > 0) {
+            await logModeration(updated, req.user.id, 'group-updated', { details: { changes } });
+            io.to(`group-${group.id}`).emit('group-updated', { group: groupView(updated) });
+        }
+
+        res.json({
+            success: true,
+            message: 'Group updated successfully',
+            group: groupView(updated, req.user.id)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Delete Group and its messages - owner only
+app.delete('/api/community/groups/:id', authMiddleware, rateLimit('groupModeration'), async (req, res) => {
+    try {
+        const group = db.groups.findById(req.params.id);
+
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        if (group.creator !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the group owner can delete the group'
+            });
+        }
+
+        io.to(`group-${group.id}`).emit('group-deleted', { groupId: group.id });
+        io.in(`group-${group.id}`).socketsLeave(`group-${group.id}`);
+
+        await db.groups.remove(group.id);
+        const deletedMessages = await db.messages.removeWhere({ groupId: group.id });
+        for (const memberId of group.members) {
+            await db.users.update(memberId, u => {
+                u.communityGroups = u.communityGroups.filter(id => id !== group.id);
+                return u;
+            });
+        }
+
+        await logModeration(group, req.user.id, 'group-deleted', {
+            details: { memberCount: group.members.length, deletedMessages }
+        });
+
+        res.json({
+            success: true,
+            message: 'Group deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Invite User - the only way into a private group; also works for public ones
+app.post('/api/community/groups/:id/invites', authMiddleware, rateLimit('groupModeration'), validateRequest(SCHEMAS.groupInvite), async (req, res) => {
+    try {
+        const { userId: targetId } = req.body;
+        const group = db.groups.findById(req.params.id);
+
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        if (groupRank(group, req.user.id) < GROUP_ROLE_RANK.moderator) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the group owner and moderators can invite people'
+            });
+        }
+
+        if (!db.users.findById(targetId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (group.members.includes(targetId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'User is already a member of this group'
+            });
+        }
+
+        if (activeRestriction(group.bans, targetId)) {
+            return res.status(409).json({
+                success: false,
+                message: 'User is banned from this group; lift the ban first'
+            });
+        }
+
+        const invite = { userId: targetId, by: req.user.id, createdAt: new Date() };
+        const updated = await db.groups.update(group.id, g => {
+            g.invites = g.invites.filter(i => i.userId !== targetId).concat(invite);
+            return g;
+        });
+        await logModeration(updated, req.user.id, 'member-invited', { targetUserId: targetId });
+
+        io.to(`user-${targetId}`).emit('group-invite', { groupId: group.id, name: group.name, invitedBy: req.user.id });
+
+        res.status(201).json({
+            success: true,
+            message: 'User invited',
+            invite
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Revoke Invite
+app.delete('/api/community/groups/:id/invites/:userId', authMiddleware, rateLimit('groupModeration'), async (req, res) => {
+    try {
+        const targetId = req.params.userId;
+        const group = db.groups.findById(req.params.id);
+
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        if (groupRank(group, req.user.id) < GROUP_ROLE_RANK.moderator) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the group owner and moderators can do that'
+            });
+        }
+
+        if (!group.invites.some(i => i.userId === targetId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invite not found'
+            });
+        }
+
+        const updated = await db.groups.update(group.id, g => {
+            g.invites = g.invites.filter(i => i.userId !== targetId);
+            return g;
+        });
+        await logModeration(updated, req.user.id, 'invite-revoked', { targetUserId: targetId });
+
+        res.json({
+            success: true,
+            message: 'Invite revoked'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Change Member Role - owner only. `owner` hands the group over; the
+// previous owner stays on as a moderator.
+app.put('/api/community/groups/:id/members/:userId/role', authMiddleware, rateLimit('groupModeration'), validateRequest(SCHEMAS.groupRole), async (req, res) => {
+    try {
+        const { role } = req.body;
+        const targetId = req.params.userId;
+        const group = db.groups.findById(req.params.id);
+
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        if (group.creator !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the group owner can change member roles'
+            });
+        }
+
+        if (targetId === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot change your own role'
+            });
+        }
+
+        const current = groupRole(group, targetId);
+        if (!current) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found'
+            });
+        }
+
+        if (current === role) {
+            return res.status(400).json({
+                success: false,
+                message: `Member is already ${role === 'owner' ? 'the owner' : `a ${role}`}`
+            });
+        }
+
+        const updated = await db.groups.update(group.id, g => {
+            if (role === 'owner') {
+                g.creator = targetId;
+                g.moderators = [...new Set([...g.moderators, targetId, req.user.id])];
+            } else if (role === 'moderator') {
+                g.moderators.push(targetId);
+            } else {
+                g.moderators = g.moderators.filter(id => id !== targetId);
+            }
+            g.updatedAt = new Date();
+            return g;
+        });
+
+        const action = role === 'owner' ? 'ownership-transferred'
+            : role === 'moderator' ? 'member-promoted' : 'member-demoted';
+        await logModeration(updated, req.user.id, action, {
+            targetUserId: targetId,
+            details: { from: current, to: role }
+        });
+
+        io.to(`group-${group.id}`).emit('group-role-changed', { groupId: group.id, userId: targetId, role });
+        if (role === 'owner') {
+            io.to(`group-${group.id}`).emit('group-role-changed', { groupId: group.id, userId: req.user.id, role: 'moderator' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Member role updated',
+            group: groupView(updated, req.user.id)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Kick Member - they can join again unless banned
+app.post('/api/community/groups/:id/members/:userId/kick', authMiddleware, rateLimit('groupModeration'), validateRequest(SCHEMAS.kickMember), async (req, res) => {
+    try {
+        const { reason } = req.body;
+        const targetId = req.params.userId;
+        const group = db.groups.findById(req.params.id);
+
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        if (!group.members.includes(targetId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found'
+            });
+        }
+
+        const error = moderationError(group, req.user.id, targetId);
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        const updated = await removeGroupMember(group.id, targetId);
+        await logModeration(updated, req.user.id, 'member-kicked', { targetUserId: targetId, reason });
+
+        const event = { groupId: group.id, userId: targetId, action: 'kicked', reason: reason || '' };
+        io.to(`group-${group.id}`).to(`user-${targetId}`).emit('group-member-removed', event);
+
+        res.json({
+            success: true,
+            message: 'Member removed from group'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Ban User - removes them if they are a member and keeps them from
+// joining again. Non-members can be banned too.
+app.post('/api/community/groups/:id/bans', authMiddleware, rateLimit('groupModeration'), validateRequest(SCHEMAS.groupRestriction), async (req, res) => {
+    try {
+        const { userId: targetId, reason, durationMinutes } = req.body;
+        const group = db.groups.findById(req.params.id);
+
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        if (!db.users.findById(targetId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const error = moderationError(group, req.user.id, targetId);
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        const ban = {
+            userId: targetId,
+            reason: reason || '',
+            by: req.user.id,
+            createdAt: new Date(),
+            expiresAt: restrictionExpiry(durationMinutes)
+        };
+        const wasMember = group.members.includes(targetId);
+        const addBan = g => {
+            g.bans = g.bans.filter(b => b.userId !== targetId).concat(ban);
+            return g;
+        };
+        const updated = wasMember
+            ? await removeGroupMember(group.id, targetId, addBan)
+            : await db.groups.update(group.id, addBan);
+
+        await logModeration(updated, req.user.id, 'member-banned', {
+            targetUserId: targetId,
+            reason,
+            details: { expiresAt: ban.expiresAt }
+        });
+
+        if (wasMember) {
+            const event = { groupId: group.id, userId: targetId, action: 'banned', reason: ban.reason, expiresAt: ban.expiresAt };
+            io.to(`group-${group.id}`).to(`user-${targetId}`).emit('group-member-removed', event);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'User banned from group',
+            ban
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Lift Ban
+app.delete('/api/community/groups/:id/bans/:userId', authMiddleware, rateLimit('groupModeration'), async (req, res) => {
+    try {
+        const targetId = req.params.userId;
+        const group = db.groups.findById(req.params.id);
+
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        if (groupRank(group, req.user.id) < GROUP_ROLE_RANK.moderator) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the group owner and moderators can do that'
+            });
         }
-    });
-});
 
-// ============================================
-// ROUTES - AUTHENTICATION & USER
-// ============================================
+        if (!activeRestriction(group.bans, targetId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'User is not banned from this group'
+            });
+        }
 
-// Register User
-app.post('/api/users/register', async (req, res) => {
+        const updated = await db.groups.update(group.id, g => {
+            g.bans = g.bans.filter(b => b.userId !== targetId);
+            return g;
+        });
+        await logModeration(updated, req.user.id, 'member-unbanned', { targetUserId: targetId });
+
+        res.json({
+            success: true,
+            message: 'Ban lifted'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Mute Member - they stay in the group and can read, but cannot post
+app.post('/api/community/groups/:id/mutes', authMiddleware, rateLimit('groupModeration'), validateRequest(SCHEMAS.groupRestriction), async (req, res) => {
     try {
-        const { username, email, password } = req.body;
+        const { userId: targetId, reason, durationMinutes } = req.body;
+        const group = db.groups.findById(req.params.id);
 
-        if (!username || !email || !password) {
-            return res.status(400).json({
+        if (!group) {
+            return res.status(404).json({
                 success: false,
-                message: 'Username, email, and password are required'
+                message: 'Group not found'
             });
         }
 
-        const users = readData(FILES.users);
-        
-        if (users.find(u => u.email === email || u.username === username)) {
-            return res.status(400).json({
+        if (!group.members.includes(targetId)) {
+            return res.status(404).json({
                 success: false,
-                message: 'Email or username already exists'
+                message: 'Member not found'
             });
         }
 
-        const salt = await bcryptjs.genSalt(10);
-        const hashedPassword = await bcryptjs.hash(password, salt);
+        const error = moderationError(group, req.user.id, targetId);
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
 
-        const newUser = {
-            id: generateId(),
-            username,
-            email,
-            password: hashedPassword,
-            profile: {
-                name: username,
-                location: '',
-                bio: '',
-                avatar: '',
-                preferredLanguage: 'en-US'
-            },
-            accessibility: {
-                fontSize: 16,
-                highContrast: false,
-                screenReaderEnabled: false
-            },
-            settings: {
-                autoSave: false,
-                vibrationFeedback: true
-            },
-            voicePreferences: {
-                preferredVoice: '',
-                speechRate: 1,
-                pitch: 1
-            },
-            savedPhrases: [],
-            communityGroups: [],
-            emergencyContacts: [],
-            lastLogin: null,
-            isActive: true,
+        const mute = {
+            userId: targetId,
+            reason: reason || '',
+            by: req.user.id,
             createdAt: new Date(),
-            updatedAt: new Date()
+            expiresAt: restrictionExpiry(durationMinutes)
         };
+        const updated = await db.groups.update(group.id, g => {
+            g.mutes = g.mutes.filter(m => m.userId !== targetId).concat(mute);
+            return g;
+        });
 
-        users.push(newUser);
-        writeData(FILES.users, users);
-
-        const token = jwt.sign(
-            { userId: newUser.id },
-            process.env.JWT_SECRET || 'your-secret-key',
-            { expiresIn: '7d' }
-        );
+        await logModeration(updated, req.user.id, 'member-muted', {
+            targetUserId: targetId,
+            reason,
+            details: { expiresAt: mute.expiresAt }
+        });
 
-        const userResponse = { ...newUser };
-        delete userResponse.password;
+        io.to(`group-${group.id}`).emit('group-member-muted', {
+            groupId: group.id,
+            userId: targetId,
+            expiresAt: mute.expiresAt
+        });
 
         res.status(201).json({
             success: true,
-            message: 'User registered successfully',
-            token,
-            user: userResponse
+            message: 'Member muted',
+            mute
         });
     } catch (error) {
         res.status(500).json({
@@ -349,53 +8624,44 @@ app.post('/api/users/register', async (req, res) => {
     }
 });
 
-// Login User
-app.post('/api/users/login', async (req, res) => {
+// Unmute Member
+app.delete('/api/community/groups/:id/mutes/:userId', authMiddleware, rateLimit('groupModeration'), async (req, res) => {
     try {
-        const { email, password } = req.body;
+        const targetId = req.params.userId;
+        const group = db.groups.findById(req.params.id);
 
-        if (!email || !password) {
-            return res.status(400).json({
+        if (!group) {
+            return res.status(404).json({
                 success: false,
-                message: 'Email and password are required'
+                message: 'Group not found'
             });
         }
 
-        const users = readData(FILES.users);
-        const user = users.find(u => u.email === email);
-
-        if (!user) {
-            return res.status(401).json({
+        if (groupRank(group, req.user.id) < GROUP_ROLE_RANK.moderator) {
+            return res.status(403).json({
                 success: false,
-                message: 'Invalid credentials'
+                message: 'Only the group owner and moderators can do that'
             });
         }
 
-        const isPasswordValid = await bcryptjs.compare(password, user.password);
-        if (!isPasswordValid) {
-            return res.status(401).json({
+        if (!activeRestriction(group.mutes, targetId)) {
+            return res.status(404).json({
                 success: false,
-                message: 'Invalid credentials'
+                message: 'Member is not muted'
             });
         }
 
-        user.lastLogin = new Date();
-        writeData(FILES.users, users);
-
-        const token = jwt.sign(
-            { userId: user.id },
-            process.env.JWT_SECRET || 'your-secret-key',
-            { expiresIn: '7d' }
-        );
+        const updated = await db.groups.update(group.id, g => {
+            g.mutes = g.mutes.filter(m => m.userId !== targetId);
+            return g;
+        });
+        await logModeration(updated, req.user.id, 'member-unmuted', { targetUserId: targetId });
 
-        const userResponse = { ...user };
-        delete userResponse.password;
+        io.to(`group-${group.id}`).emit('group-member-unmuted', { groupId: group.id, userId: targetId });
 
         res.json({
             success: true,
-            message: 'Login successful',
-            token,
-            user: userResponse
+            message: 'Member unmuted'
         });
     } catch (error) {
         res.status(500).json({
@@ -405,15 +8671,21 @@ app.post('/api/users/login', async (req, res) => {
     }
 });
 
-// Get User Profile
-app.get('/api/users/profile', authMiddleware, (req, res) => {
+// Delete Group Message - the author, or a moderator who outranks them
+app.delete('/api/community/groups/:id/messages/:messageId', authMiddleware, rateLimit('groupModeration'), async (req, res) => {
     try {
-        const userResponse = { ...req.user };
-        delete userResponse.password;
-        
+        const result = await deleteGroupMessage(req.params.id, req.params.messageId, req.user.id);
+
+        if (result.status) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message
+            });
+        }
+
         res.json({
             success: true,
-            user: userResponse
+            message: 'Message deleted'
         });
     } catch (error) {
         res.status(500).json({
@@ -423,43 +8695,34 @@ app.get('/api/users/profile', authMiddleware, (req, res) => {
     }
 });
 
-// Update User Profile
-app.put('/api/users/profile', authMiddleware, (req, res) => {
+// Get Moderation Log, newest first - owner and moderators
+app.get('/api/community/groups/:id/moderation-log', authMiddleware, validateRequest(SCHEMAS.moderationLog), async (req, res) => {
     try {
-        const { profile, accessibility, settings, voicePreferences } = req.body;
-        const users = readData(FILES.users);
-        const userIndex = users.findIndex(u => u.id === req.user.id);
+        const { action, limit = 50, skip = 0 } = req.query;
+        const group = db.groups.findById(req.params.id);
 
-        if (userIndex === -1) {
+        if (!group) {
             return res.status(404).json({
                 success: false,
-                message: 'User not found'
+                message: 'Group not found'
             });
         }
 
-        if (profile) {
-            users[userIndex].profile = { ...users[userIndex].profile, ...profile };
-        }
-        if (accessibility) {
-            users[userIndex].accessibility = { ...users[userIndex].accessibility, ...accessibility };
-        }
-        if (settings) {
-            users[userIndex].settings = { ...users[userIndex].settings, ...settings };
-        }
-        if (voicePreferences) {
-            users[userIndex].voicePreferences = { ...users[userIndex].voicePreferences, ...voicePreferences };
+        if (groupRank(group, req.user.id) < GROUP_ROLE_RANK.moderator) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the group owner and moderators can view the moderation log'
+            });
         }
 
-        users[userIndex].updatedAt = new Date();
-        writeData(FILES.users, users);
-
-        const userResponse = { ...users[userIndex] };
-        delete userResponse.password;
+        const entries = db.moderationLog
+            .filter(e => e.groupId === group.id && (!action || e.action === action))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
         res.json({
             success: true,
-            message: 'Profile updated successfully',
-            user: userResponse
+            entries: entries.slice(skip, skip + limit),
+            total: entries.length
         });
     } catch (error) {
         res.status(500).json({
@@ -469,34 +8732,58 @@ app.put('/api/users/profile', authMiddleware, (req, res) => {
     }
 });
 
-// Add Emergency Contact
-app.post('/api/users/emergency-contacts', authMiddleware, (req, res) => {
+// Get Community Stats
+app.get('/api/community/stats', async (req, res) => {
     try {
-        const { name, phone, email, relationship } = req.body;
-        const users = readData(FILES.users);
-        const userIndex = users.findIndex(u => u.id === req.user.id);
+        const totalUsers = db.users.count();
+        const totalGroups = db.groups.count();
+        const totalMessages = db.messages.count();
+        const onlineUsers = Math.floor(totalUsers * 0.4);
 
-        if (userIndex === -1) {
-            return res.status(404).json({
-                success: false,
-                message: 'User not found'
+        const recentMessages = db.messages.all()
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .slice(0, 10)
+            .map(m => {
+                const user = db.users.findById(m.userId);
+                const group = db.groups.findById(m.groupId);
+                return {
+                    ...m,
+                    user: user ? { id: user.id, username: user.username } : null,
+                    group: group ? { id: group.id, name: group.name } : null
+                };
             });
-        }
 
-        users[userIndex].emergencyContacts.push({
-            id: generateId(),
-            name,
-            phone,
-            email,
-            relationship
+        res.json({
+            success: true,
+            stats: {
+                totalUsers,
+                totalGroups,
+                totalMessages,
+                onlineUsers,
+                recentMessages
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
         });
+    }
+});
+
+// ============================================
+// ROUTES - EMERGENCY
+// ============================================
 
-        writeData(FILES.users, users);
+// Create Emergency Alert
+app.post('/api/emergency/alert', authMiddleware, rateLimit('emergencyAlert'), validateRequest(SCHEMAS.emergencyAlert), async (req, res) => {
+    try {
+        const newAlert = await createEmergencyAlert(req.user, req.body);
 
         res.status(201).json({
             success: true,
-            message: 'Emergency contact added',
-            emergencyContacts: users[userIndex].emergencyContacts
+            message: 'Emergency alert activated',
+            emergency: newAlert
         });
     } catch (error) {
         res.status(500).json({
@@ -506,22 +8793,51 @@ app.post('/api/users/emergency-contacts', authMiddleware, (req, res) => {
     }
 });
 
-// Get Emergency Contacts
-app.get('/api/users/emergency-contacts', authMiddleware, (req, res) => {
+// Get Emergency Alerts. `role=responder` lists alerts the user has
+// been asked to respond to instead of their own.
+app.get('/api/emergency/alerts', authMiddleware, validateRequest(SCHEMAS.listAlerts), async (req, res) => {
     try {
-        const users = readData(FILES.users);
-        const user = users.find(u => u.id === req.user.id);
+        const { status, role } = req.query;
+        let alerts = role === 'responder'
+            ? db.emergency.filter(a => a.userId !== req.user.id && alertRole(a, req.user.id) !== null)
+            : db.emergency.filter({ userId: req.user.id });
 
-        if (!user) {
+        if (status) {
+            alerts = alerts.filter(a => a.status === status);
+        }
+
+        alerts.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        alerts = alerts.slice(0, 50).map(a => alertView(a, alertRole(a, req.user.id)));
+
+        res.json({
+            success: true,
+            alerts
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Get Single Emergency Alert - for the owner and their circle
+app.get('/api/emergency/alerts/:id', authMiddleware, async (req, res) => {
+    try {
+        const alert = db.emergency.findById(req.params.id);
+        const role = alert ? alertRole(alert, req.user.id) : null;
+
+        if (!role) {
             return res.status(404).json({
                 success: false,
-                message: 'User not found'
+                message: 'Alert not found'
             });
         }
 
         res.json({
             success: true,
-            emergencyContacts: user.emergencyContacts
+            alert: alertView(alert, role),
+            role
         });
     } catch (error) {
         res.status(500).json({
@@ -531,28 +8847,55 @@ app.get('/api/users/emergency-contacts', authMiddleware, (req, res) => {
     }
 });
 
-// Delete Emergency Contact
-app.delete('/api/users/emergency-contacts/:id', authMiddleware, (req, res) => {
+// Acknowledge Emergency Alert - a circle member takes it on, which
+// stops escalation
+app.post('/api/emergency/alerts/:id/acknowledge', authMiddleware, validateRequest(SCHEMAS.acknowledgeAlert), async (req, res) => {
     try {
-        const users = readData(FILES.users);
-        const userIndex = users.findIndex(u => u.id === req.user.id);
+        const existing = db.emergency.findById(req.params.id);
+        const role = existing ? alertRole(existing, req.user.id) : null;
 
-        if (userIndex === -1) {
+        if (!role) {
             return res.status(404).json({
                 success: false,
-                message: 'User not found'
+                message: 'Alert not found'
+            });
+        }
+        if (role === 'owner') {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot acknowledge your own alert'
+            });
+        }
+        if (existing.status !== 'active') {
+            return res.status(409).json({
+                success: false,
+                message: `Alert is already ${existing.status}`
             });
         }
 
-        users[userIndex].emergencyContacts = users[userIndex].emergencyContacts.filter(
-            contact => contact.id !== req.params.id
-        );
-
-        writeData(FILES.users, users);
+        const { eta, message } = req.body;
+        const alert = await db.emergency.update(req.params.id, a => {
+            if (alertRole(a, req.user.id) === 'responder') return a;
+
+            const now = new Date();
+            const member = a.circle.find(m => m.userId === req.user.id);
+            a.responders.push({
+                userId: req.user.id,
+                name: req.user.profile.name || req.user.username,
+                via: member.via,
+                eta: eta === undefined ? null : eta,
+                acknowledgedAt: now
+            });
+            if (!a.acknowledgedAt) a.acknowledgedAt = now;
+            a.nextEscalationAt = null;
+            a.timeline.push(timelineEntry('acknowledged', req.user.id, { eta: eta === undefined ? null : eta, message: message || '' }));
+            return a;
+        });
 
         res.json({
             success: true,
-            message: 'Emergency contact deleted'
+            message: 'Emergency alert acknowledged',
+            alert
         });
     } catch (error) {
         res.status(500).json({
@@ -562,54 +8905,114 @@ app.delete('/api/users/emergency-contacts/:id', authMiddleware, (req, res) => {
     }
 });
 
-// ============================================
-// ROUTES - PHRASES
-// ============================================
-
-// Create Phrase
-app.post('/api/phrases', authMiddleware, (req, res) => {
+// Add Note to Emergency Alert - owner and acknowledged responders
+app.post('/api/emergency/alerts/:id/notes', authMiddleware, validateRequest(SCHEMAS.alertNote), async (req, res) => {
     try {
-        const { text, language, category, tags } = req.body;
+        const existing = db.emergency.findById(req.params.id);
+        const role = existing ? alertRole(existing, req.user.id) : null;
 
-        if (!text) {
-            return res.status(400).json({
+        if (!role) {
+            return res.status(404).json({
                 success: false,
-                message: 'Phrase text is required'
+                message: 'Alert not found'
+            });
+        }
+        if (role === 'circle') {
+            return res.status(403).json({
+                success: false,
+                message: 'Acknowledge the alert before adding notes'
             });
         }
 
-        const phrases = readData(FILES.phrases);
-
-        const newPhrase = {
+        const note = {
             id: generateId(),
             userId: req.user.id,
-            text,
-            language: language || req.user.profile.preferredLanguage,
-            category: category || 'custom',
-            priority: 0,
-            usageCount: 0,
-            lastUsed: null,
-            tags: tags || [],
-            isPublic: false,
-            createdAt: new Date(),
-            updatedAt: new Date()
+            text: req.body.text,
+            createdAt: new Date()
         };
 
-        phrases.push(newPhrase);
-        writeData(FILES.phrases, phrases);
+        const alert = await db.emergency.update(req.params.id, a => {
+            a.notes.push(note);
+            a.timeline.push(timelineEntry('note-added', req.user.id, { noteId: note.id }));
+            return a;
+        });
+
+        res.status(201).json({
+            success: true,
+            note,
+            alert
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Get Emergency Alert Timeline - owner and acknowledged responders
+app.get('/api/emergency/alerts/:id/timeline', authMiddleware, async (req, res) => {
+    try {
+        const alert = db.emergency.findById(req.params.id);
+        const role = alert ? alertRole(alert, req.user.id) : null;
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Alert not found'
+            });
+        }
+
+        if (role === 'circle') {
+            return res.status(403).json({
+                success: false,
+                message: 'Acknowledge the alert to see its timeline'
+            });
+        }
+
+        res.json({
+            success: true,
+            timeline: alert.timeline
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Resolve Emergency Alert - owner and acknowledged responders
+app.post('/api/emergency/alerts/:id/resolve', authMiddleware, validateRequest(SCHEMAS.closeAlert), async (req, res) => {
+    try {
+        const existing = db.emergency.findById(req.params.id);
+        const role = existing ? alertRole(existing, req.user.id) : null;
 
-        // Add to user's saved phrases
-        const users = readData(FILES.users);
-        const userIndex = users.findIndex(u => u.id === req.user.id);
-        if (userIndex !== -1) {
-            users[userIndex].savedPhrases.push(newPhrase.id);
-            writeData(FILES.users, users);
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Alert not found'
+            });
+        }
+        if (role === 'circle') {
+            return res.status(403).json({
+                success: false,
+                message: 'Acknowledge the alert before resolving it'
+            });
+        }
+        if (existing.status !== 'active') {
+            return res.status(409).json({
+                success: false,
+                message: `Alert is already ${existing.status}`
+            });
         }
 
-        res.status(201).json({
+        const alert = await db.emergency.update(req.params.id, closeAlert('resolved', req.user.id, { reason: req.body.reason || '' }));
+
+        res.json({
             success: true,
-            message: 'Phrase saved successfully',
-            phrase: newPhrase
+            message: 'Emergency alert resolved',
+            alert
         });
     } catch (error) {
         res.status(500).json({
@@ -619,30 +9022,30 @@ app.post('/api/phrases', authMiddleware, (req, res) => {
     }
 });
 
-// Get All Phrases
-app.get('/api/phrases', authMiddleware, (req, res) => {
+// Cancel Emergency Alert - owner only
+app.post('/api/emergency/alerts/:id/cancel', authMiddleware, validateRequest(SCHEMAS.closeAlert), async (req, res) => {
     try {
-        const { category, language, search } = req.query;
-        let phrases = readData(FILES.phrases);
-
-        phrases = phrases.filter(p => p.userId === req.user.id);
+        const existing = db.emergency.findById(req.params.id);
 
-        if (category) {
-            phrases = phrases.filter(p => p.category === category);
-        }
-        if (language) {
-            phrases = phrases.filter(p => p.language === language);
+        if (!existing || existing.userId !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Alert not found'
+            });
         }
-        if (search) {
-            phrases = phrases.filter(p => p.text.toLowerCase().includes(search.toLowerCase()));
+        if (existing.status !== 'active') {
+            return res.status(409).json({
+                success: false,
+                message: `Alert is already ${existing.status}`
+            });
         }
 
-        phrases.sort((a, b) => b.usageCount - a.usageCount || new Date(b.createdAt) - new Date(a.createdAt));
-        phrases = phrases.slice(0, 100);
+        const alert = await db.emergency.update(req.params.id, closeAlert('cancelled', req.user.id, { reason: req.body.reason || '' }));
 
         res.json({
             success: true,
-            phrases
+            message: 'Emergency alert cancelled',
+            alert
         });
     } catch (error) {
         res.status(500).json({
@@ -651,23 +9054,22 @@ app.get('/api/phrases', authMiddleware, (req, res) => {
         });
     }
 });
-
-// Get Single Phrase
-app.get('/api/phrases/:id', authMiddleware, (req, res) => {
+// Update Emergency Location - the owner streams fixes while the alert is active
+app.post('/api/emergency/alerts/:id/location', authMiddleware, rateLimit('alertLocation'), validateRequest(SCHEMAS.alertLocation), async (req, res) => {
     try {
-        const phrases = readData(FILES.phrases);
-        const phrase = phrases.find(p => p.id === req.params.id);
+        const result = await recordAlertLocation(req.params.id, req.user.id, req.body);
 
-        if (!phrase || phrase.userId !== req.user.id) {
-            return res.status(404).json({
+        if (result.status) {
+            return res.status(result.status).json({
                 success: false,
-                message: 'Phrase not found'
+                message: result.message
             });
         }
 
         res.json({
             success: true,
-            phrase
+            point: result.point,
+            trackLength: result.alert.track.length
         });
     } catch (error) {
         res.status(500).json({
@@ -677,33 +9079,32 @@ app.get('/api/phrases/:id', authMiddleware, (req, res) => {
     }
 });
 
-// Update Phrase
-app.put('/api/phrases/:id', authMiddleware, (req, res) => {
+// Create Share Link - read-only, time-limited view of the alert for
+// people without an account
+app.post('/api/emergency/alerts/:id/shares', authMiddleware, validateRequest(SCHEMAS.createAlertShare), async (req, res) => {
     try {
-        const phrases = readData(FILES.phrases);
-        const phraseIndex = phrases.findIndex(p => p.id === req.params.id);
+        const alert = db.emergency.findById(req.params.id);
 
-        if (phraseIndex === -1 || phrases[phraseIndex].userId !== req.user.id) {
+        if (!alert || alert.userId !== req.user.id) {
             return res.status(404).json({
                 success: false,
-                message: 'Phrase not found'
+                message: 'Alert not found'
+            });
+        }
+        if (alert.status !== 'active') {
+            return res.status(409).json({
+                success: false,
+                message: `Alert is already ${alert.status}`
             });
         }
 
-        const { text, category, tags, priority } = req.body;
-
-        if (text) phrases[phraseIndex].text = text;
-        if (category) phrases[phraseIndex].category = category;
-        if (tags) phrases[phraseIndex].tags = tags;
-        if (priority !== undefined) phrases[phraseIndex].priority = priority;
-
-        phrases[phraseIndex].updatedAt = new Date();
-        writeData(FILES.phrases, phrases);
+        const { share, token } = await createAlertShare(alert, req.user.id, req.body.expiresInMinutes || ALERT_SHARE_DEFAULT_MINUTES);
 
-        res.json({
+        res.status(201).json({
             success: true,
-            message: 'Phrase updated successfully',
-            phrase: phrases[phraseIndex]
+            share: shareView(share),
+            token,
+            url: `${APP_URL}/emergency/shared/${encodeURIComponent(token)}`
         });
     } catch (error) {
         res.status(500).json({
@@ -713,34 +9114,21 @@ app.put('/api/phrases/:id', authMiddleware, (req, res) => {
     }
 });
 
-// Delete Phrase
-app.delete('/api/phrases/:id', authMiddleware, (req, res) => {
+// Get Share Links
+app.get('/api/emergency/alerts/:id/shares', authMiddleware, async (req, res) => {
     try {
-        const phrases = readData(FILES.phrases);
-        const phraseIndex = phrases.findIndex(p => p.id === req.params.id);
+        const alert = db.emergency.findById(req.params.id);
 
-        if (phraseIndex === -1 || phrases[phraseIndex].userId !== req.user.id) {
+        if (!alert || alert.userId !== req.user.id) {
             return res.status(404).json({
                 success: false,
-                message: 'Phrase not found'
+                message: 'Alert not found'
             });
         }
 
-        const deletedPhrase = phrases[phraseIndex];
-        phrases.splice(phraseIndex, 1);
-        writeData(FILES.phrases, phrases);
-
-        // Remove from user's saved phrases
-        const users = readData(FILES.users);
-        const userIndex = users.findIndex(u => u.id === req.user.id);
-        if (userIndex !== -1) {
-            users[userIndex].savedPhrases = users[userIndex].savedPhrases.filter(id => id !== req.params.id);
-            writeData(FILES.users, users);
-        }
-
         res.json({
             success: true,
-            message: 'Phrase deleted successfully'
+            shares: db.alertShares.filter({ alertId: alert.id }).map(shareView)
         });
     } catch (error) {
         res.status(500).json({
@@ -750,27 +9138,30 @@ app.delete('/api/phrases/:id', authMiddleware, (req, res) => {
     }
 });
 
-// Log Phrase Usage
-app.post('/api/phrases/:id/use', authMiddleware, (req, res) => {
+// Revoke Share Link
+app.delete('/api/emergency/alerts/:id/shares/:shareId', authMiddleware, async (req, res) => {
     try {
-        const phrases = readData(FILES.phrases);
-        const phraseIndex = phrases.findIndex(p => p.id === req.params.id);
+        const alert = db.emergency.findById(req.params.id);
+        const share = db.alertShares.findById(req.params.shareId);
 
-        if (phraseIndex === -1) {
+        if (!alert || alert.userId !== req.user.id || !share || share.alertId !== alert.id) {
             return res.status(404).json({
                 success: false,
-                message: 'Phrase not found'
+                message: 'Share link not found'
             });
         }
 
-        phrases[phraseIndex].usageCount += 1;
-        phrases[phraseIndex].lastUsed = new Date();
-        writeData(FILES.phrases, phrases);
+        if (!share.revokedAt) {
+            await db.alertShares.update(share.id, { revokedAt: new Date() });
+            await db.emergency.update(alert.id, a => {
+                a.timeline.push(timelineEntry('share-revoked', req.user.id, { shareId: share.id }));
+                return a;
+            });
+        }
 
         res.json({
             success: true,
-            message: 'Usage logged',
-            phrase: phrases[phraseIndex]
+            message: 'Share link revoked'
         });
     } catch (error) {
         res.status(500).json({
@@ -780,18 +9171,38 @@ app.post('/api/phrases/:id/use', authMiddleware, (req, res) => {
     }
 });
 
-// Get Frequent Phrases
-app.get('/api/phrases/stats/frequent', authMiddleware, (req, res) => {
+// View Shared Alert - public. Poll with `since` (the `at` of the last
+// point seen) to fetch only new points.
+app.get('/api/emergency/shared/:token', rateLimit('alertShareView'), validateRequest(SCHEMAS.viewAlertShare), async (req, res) => {
     try {
-        let phrases = readData(FILES.phrases);
+        const result = resolveAlertShare(req.params.token);
 
-        phrases = phrases.filter(p => p.userId === req.user.id);
-        phrases.sort((a, b) => b.usageCount - a.usageCount);
-        phrases = phrases.slice(0, 10);
+        if (result.status) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message
+            });
+        }
 
+        const { alert, share } = result;
+        const user = db.users.findById(alert.userId);
+        const since = req.query.since ? new Date(req.query.since) : null;
+
+        res.set('Cache-Control', 'no-store');
         res.json({
             success: true,
-            phrases
+            alert: {
+                id: alert.id,
+                name: user ? user.profile.name || user.username : '',
+                message: alert.message,
+                severity: alert.severity,
+                status: alert.status,
+                acknowledged: Boolean(alert.acknowledgedAt),
+                location: alert.location,
+                createdAt: alert.createdAt
+            },
+            track: since ? alert.track.filter(point => new Date(point.at) > since) : alert.track,
+            expiresAt: share.expiresAt
         });
     } catch (error) {
         res.status(500).json({
@@ -801,33 +9212,21 @@ app.get('/api/phrases/stats/frequent', authMiddleware, (req, res) => {
     }
 });
 
+
 // ============================================
-// ROUTES - PREDICTIONS
+// ROUTES - SAFETY
 // ============================================
 
-// Get AI Predictions
-app.post('/api/predictions/predict', authMiddleware, (req, res) => {
+// Report Device Location - checked against safe zones and added to the
+// track of any active alert
+app.post('/api/safety/location', authMiddleware, rateLimit('deviceLocation'), validateRequest(SCHEMAS.deviceLocation), async (req, res) => {
     try {
-        const { text } = req.body;
-
-        if (!text || text.trim().length === 0) {
-            return res.json({
-                success: true,
-                predictions: []
-            });
-        }
-
-        const phrases = readData(FILES.phrases);
-        const frequentPhrases = phrases
-            .filter(p => p.userId === req.user.id)
-            .sort((a, b) => b.usageCount - a.usageCount)
-            .slice(0, 10);
-
-        const predictions = predictionEngine.predict(text, frequentPhrases);
+        const { zones, alerts } = await reportDeviceLocation(req.user, req.body);
 
         res.json({
             success: true,
-            predictions
+            zones,
+            alerts
         });
     } catch (error) {
         res.status(500).json({
@@ -837,27 +9236,12 @@ app.post('/api/predictions/predict', authMiddleware, (req, res) => {
     }
 });
 
-// Get Smart Suggestions
-app.post('/api/predictions/suggest', authMiddleware, (req, res) => {
-    try {
-        const { context } = req.body;
-
-        const suggestions = {
-            'greeting': ['Hello', 'Good morning', 'Good afternoon', 'How are you?'],
-            'help': ['I need help', 'Can you help me?', 'Please assist me', 'I am struggling'],
-            'gratitude': ['Thank you', 'Thank you very much', 'I appreciate your help', 'Thanks a lot'],
-            'question': ['Can you help?', 'What time is it?', 'Where is...?', 'How do I...?'],
-            'emergency': ['Help!', 'Emergency!', 'Call for help', 'I need immediate assistance'],
-            'affirmation': ['Yes', 'I agree', 'That sounds good', 'I like that idea'],
-            'negation': ['No', 'I disagree', 'Not right now', 'Maybe later'],
-            'appreciation': ['Thank you so much', 'You are awesome', 'I really appreciate it', 'Thanks for everything']
-        };
-
-        const contextSuggestions = suggestions[context] || suggestions['greeting'];
-
+// Get Safe Zones
+app.get('/api/safety/zones', authMiddleware, async (req, res) => {
+    try {
         res.json({
             success: true,
-            suggestions: contextSuggestions
+            zones: db.safeZones.filter({ userId: req.user.id })
         });
     } catch (error) {
         res.status(500).json({
@@ -867,44 +9251,43 @@ app.post('/api/predictions/suggest', authMiddleware, (req, res) => {
     }
 });
 
-// ============================================
-// ROUTES - COMMUNITY
-// ============================================
-
-// Get All Groups
-app.get('/api/community/groups', (req, res) => {
+// Create Safe Zone
+app.post('/api/safety/zones', authMiddleware, validateRequest(SCHEMAS.createSafeZone), async (req, res) => {
     try {
-        const { category, language, search } = req.query;
-        let groups = readData(FILES.groups);
+        const { name, shape, center, radiusM, points, enabled } = req.body;
 
-        groups = groups.filter(g => g.isPublic);
-
-        if (category) {
-            groups = groups.filter(g => g.category === category);
-        }
-        if (language) {
-            groups = groups.filter(g => g.language === language);
+        const shapeError = safeZoneShapeError(req.body);
+        if (shapeError) {
+            return res.status(400).json(validationFailed([shapeError]));
         }
-        if (search) {
-            groups = groups.filter(g => g.name.toLowerCase().includes(search.toLowerCase()));
+        if (db.safeZones.count({ userId: req.user.id }) >= SAFE_ZONE_LIMIT) {
+            return res.status(400).json({
+                success: false,
+                message: `You can have at most ${SAFE_ZONE_LIMIT} safe zones`
+            });
         }
 
-        groups.sort((a, b) => b.memberCount - a.memberCount);
-        groups = groups.slice(0, 50);
+        const zone = {
+            id: generateId(),
+            userId: req.user.id,
+            name,
+            shape,
+            center: shape === 'circle' ? { latitude: center.latitude, longitude: center.longitude } : null,
+            radiusM: shape === 'circle' ? radiusM : null,
+            points: shape === 'polygon' ? points.map(p => ({ latitude: p.latitude, longitude: p.longitude })) : [],
+            enabled: enabled !== false,
+            // 'inside' | 'outside' once the first location report arrives
+            state: 'unknown',
+            stateChangedAt: null,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
 
-        // Get creator info
-        const users = readData(FILES.users);
-        groups = groups.map(g => {
-            const creator = users.find(u => u.id === g.creator);
-            return {
-                ...g,
-                creator: creator ? { id: creator.id, username: creator.username, name: creator.profile.name } : null
-            };
-        });
+        await db.safeZones.insert(zone);
 
-        res.json({
+        res.status(201).json({
             success: true,
-            groups
+            zone
         });
     } catch (error) {
         res.status(500).json({
@@ -914,33 +9297,43 @@ app.get('/api/community/groups', (req, res) => {
     }
 });
 
-// Get Group Details
-app.get('/api/community/groups/:id', authMiddleware, (req, res) => {
+// Update Safe Zone. Changing its shape resets the inside/outside state.
+app.put('/api/safety/zones/:id', authMiddleware, validateRequest(SCHEMAS.updateSafeZone), async (req, res) => {
     try {
-        const groups = readData(FILES.groups);
-        const group = groups.find(g => g.id === req.params.id);
+        const existing = db.safeZones.findById(req.params.id);
 
-        if (!group) {
+        if (!existing || existing.userId !== req.user.id) {
             return res.status(404).json({
                 success: false,
-                message: 'Group not found'
+                message: 'Safe zone not found'
             });
         }
 
-        const users = readData(FILES.users);
-        const creator = users.find(u => u.id === group.creator);
-        const members = group.members.map(memberId => {
-            const user = users.find(u => u.id === memberId);
-            return user ? { id: user.id, username: user.username, name: user.profile.name, avatar: user.profile.avatar } : null;
-        }).filter(m => m);
+        const merged = { ...existing, ...req.body };
+        const shapeError = safeZoneShapeError(merged);
+        if (shapeError) {
+            return res.status(400).json(validationFailed([shapeError]));
+        }
+
+        const reshaped = ['shape', 'center', 'radiusM', 'points'].some(field => req.body[field] !== undefined);
+        const zone = await db.safeZones.update(req.params.id, z => {
+            if (req.body.name !== undefined) z.name = req.body.name;
+            if (req.body.enabled !== undefined) z.enabled = req.body.enabled;
+            if (reshaped) {
+                z.shape = merged.shape;
+                z.center = merged.shape === 'circle' ? { latitude: merged.center.latitude, longitude: merged.center.longitude } : null;
+                z.radiusM = merged.shape === 'circle' ? merged.radiusM : null;
+                z.points = merged.shape === 'polygon' ? merged.points.map(p => ({ latitude: p.latitude, longitude: p.longitude })) : [];
+                z.state = 'unknown';
+                z.stateChangedAt = null;
+            }
+            z.updatedAt = new Date();
+            return z;
+        });
 
         res.json({
             success: true,
-            group: {
-                ...group,
-                creator: creator ? { id: creator.id, username: creator.username, name: creator.profile.name } : null,
-                members
-            }
+            zone
         });
     } catch (error) {
         res.status(500).json({
@@ -950,52 +9343,38 @@ app.get('/api/community/groups/:id', authMiddleware, (req, res) => {
     }
 });
 
-// Create Group
-app.post('/api/community/groups', authMiddleware, (req, res) => {
+// Delete Safe Zone
+app.delete('/api/safety/zones/:id', authMiddleware, async (req, res) => {
     try {
-        const { name, description, category, language } = req.body;
+        const zone = db.safeZones.findById(req.params.id);
 
-        if (!name || !category) {
-            return res.status(400).json({
+        if (!zone || zone.userId !== req.user.id) {
+            return res.status(404).json({
                 success: false,
-                message: 'Name and category are required'
+                message: 'Safe zone not found'
             });
         }
 
-        const groups = readData(FILES.groups);
-
-        const newGroup = {
-            id: generateId(),
-            name,
-            description: description || '',
-            category,
-            language: language || 'en-US',
-            members: [req.user.id],
-            moderators: [req.user.id],
-            creator: req.user.id,
-            icon: '',
-            isPublic: true,
-            memberCount: 1,
-            messageCount: 0,
-            createdAt: new Date(),
-            updatedAt: new Date()
-        };
-
-        groups.push(newGroup);
-        writeData(FILES.groups, groups);
+        await db.safeZones.remove(zone.id);
 
-        // Add to user's community groups
-        const users = readData(FILES.users);
-        const userIndex = users.findIndex(u => u.id === req.user.id);
-        if (userIndex !== -1) {
-            users[userIndex].communityGroups.push(newGroup.id);
-            writeData(FILES.users, users);
-        }
+        res.json({
+            success: true,
+            message: 'Safe zone deleted'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
 
-        res.status(201).json({
+// Get Check-ins
+app.get('/api/safety/check-ins', authMiddleware, async (req, res) => {
+    try {
+        res.json({
             success: true,
-            message: 'Group created successfully',
-            group: newGroup
+            checkIns: db.checkIns.filter({ userId: req.user.id })
         });
     } catch (error) {
         res.status(500).json({
@@ -1005,42 +9384,44 @@ app.post('/api/community/groups', authMiddleware, (req, res) => {
     }
 });
 
-// Join Group
-app.post('/api/community/groups/:id/join', authMiddleware, (req, res) => {
+// Create Check-in Schedule
+app.post('/api/safety/check-ins', authMiddleware, validateRequest(SCHEMAS.createCheckIn), async (req, res) => {
     try {
-        const groups = readData(FILES.groups);
-        const groupIndex = groups.findIndex(g => g.id === req.params.id);
+        const { label, times, days, timezoneOffset, graceMinutes, enabled } = req.body;
 
-        if (groupIndex === -1) {
-            return res.status(404).json({
-                success: false,
-                message: 'Group not found'
-            });
+        if (times.length === 0) {
+            return res.status(400).json(validationFailed([{ field: 'times', message: 'must have at least 1 item' }]));
         }
-
-        if (groups[groupIndex].members.includes(req.user.id)) {
+        if (db.checkIns.count({ userId: req.user.id }) >= CHECK_IN_LIMIT) {
             return res.status(400).json({
                 success: false,
-                message: 'Already a member of this group'
+                message: `You can have at most ${CHECK_IN_LIMIT} check-in schedules`
             });
         }
 
-        groups[groupIndex].members.push(req.user.id);
-        groups[groupIndex].memberCount = groups[groupIndex].members.length;
-        writeData(FILES.groups, groups);
+        const checkIn = {
+            id: generateId(),
+            userId: req.user.id,
+            label: label || 'Check-in',
+            times: [...new Set(times)].sort(),
+            days: days ? [...new Set(days)] : [],
+            timezoneOffset: timezoneOffset || 0,
+            graceMinutes: graceMinutes === undefined ? 30 : graceMinutes,
+            enabled: enabled !== false,
+            nextDueAt: null,
+            remindedFor: null,
+            lastConfirmedAt: null,
+            lastMissedAt: null,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+        checkIn.nextDueAt = checkIn.enabled ? nextCheckInDue(checkIn) : null;
 
-        // Add to user's community groups
-        const users = readData(FILES.users);
-        const userIndex = users.findIndex(u => u.id === req.user.id);
-        if (userIndex !== -1) {
-            users[userIndex].communityGroups.push(req.params.id);
-            writeData(FILES.users, users);
-        }
+        await db.checkIns.insert(checkIn);
 
-        res.json({
+        res.status(201).json({
             success: true,
-            message: 'Successfully joined group',
-            group: groups[groupIndex]
+            checkIn
         });
     } catch (error) {
         res.status(500).json({
@@ -1050,34 +9431,36 @@ app.post('/api/community/groups/:id/join', authMiddleware, (req, res) => {
     }
 });
 
-// Leave Group
-app.post('/api/community/groups/:id/leave', authMiddleware, (req, res) => {
+// Update Check-in Schedule
+app.put('/api/safety/check-ins/:id', authMiddleware, validateRequest(SCHEMAS.updateCheckIn), async (req, res) => {
     try {
-        const groups = readData(FILES.groups);
-        const groupIndex = groups.findIndex(g => g.id === req.params.id);
+        const existing = db.checkIns.findById(req.params.id);
 
-        if (groupIndex === -1) {
+        if (!existing || existing.userId !== req.user.id) {
             return res.status(404).json({
                 success: false,
-                message: 'Group not found'
+                message: 'Check-in not found'
             });
         }
-
-        groups[groupIndex].members = groups[groupIndex].members.filter(id => id !== req.user.id);
-        groups[groupIndex].memberCount = groups[groupIndex].members.length;
-        writeData(FILES.groups, groups);
-
-        // Remove from user's community groups
-        const users = readData(FILES.users);
-        const userIndex = users.findIndex(u => u.id === req.user.id);
-        if (userIndex !== -1) {
-            users[userIndex].communityGroups = users[userIndex].communityGroups.filter(id => id !== req.params.id);
-            writeData(FILES.users, users);
+        if (req.body.times && req.body.times.length === 0) {
+            return res.status(400).json(validationFailed([{ field: 'times', message: 'must have at least 1 item' }]));
         }
 
+        const checkIn = await db.checkIns.update(req.params.id, c => {
+            ['label', 'timezoneOffset', 'graceMinutes', 'enabled'].forEach(field => {
+                if (req.body[field] !== undefined) c[field] = req.body[field];
+            });
+            if (req.body.times) c.times = [...new Set(req.body.times)].sort();
+            if (req.body.days) c.days = [...new Set(req.body.days)];
+            c.nextDueAt = c.enabled ? nextCheckInDue(c) : null;
+            c.remindedFor = null;
+            c.updatedAt = new Date();
+            return c;
+        });
+
         res.json({
             success: true,
-            message: 'Successfully left group'
+            checkIn
         });
     } catch (error) {
         res.status(500).json({
@@ -1087,32 +9470,23 @@ app.post('/api/community/groups/:id/leave', authMiddleware, (req, res) => {
     }
 });
 
-// Get Group Messages
-app.get('/api/community/groups/:id/messages', authMiddleware, (req, res) => {
+// Delete Check-in Schedule
+app.delete('/api/safety/check-ins/:id', authMiddleware, async (req, res) => {
     try {
-        const { limit = 50, skip = 0 } = req.query;
-        let messages = readData(FILES.messages);
-
-        messages = messages.filter(m => m.groupId === req.params.id);
-        messages.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        const checkIn = db.checkIns.findById(req.params.id);
 
-        const totalMessages = messages.length;
-        messages = messages.slice(-parseInt(limit) - parseInt(skip), -parseInt(skip) || undefined);
+        if (!checkIn || checkIn.userId !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Check-in not found'
+            });
+        }
 
-        // Get user info for messages
-        const users = readData(FILES.users);
-        messages = messages.map(m => {
-            const user = users.find(u => u.id === m.userId);
-            return {
-                ...m,
-                user: user ? { id: user.id, username: user.username, name: user.profile.name, avatar: user.profile.avatar } : null
-            };
-        });
+        await db.checkIns.remove(checkIn.id);
 
         res.json({
             success: true,
-            messages,
-            totalMessages
+            message: 'Check-in deleted'
         });
     } catch (error) {
         res.status(500).json({
@@ -1122,82 +9496,67 @@ app.get('/api/community/groups/:id/messages', authMiddleware, (req, res) => {
     }
 });
 
-// Send Message to Group
-app.post('/api/community/groups/:id/messages', authMiddleware, (req, res) => {
+// Confirm Check-in - the one-tap "I'm OK". Accepted from
+// CHECK_IN_EARLY_MINUTES before the check-in is due.
+app.post('/api/safety/check-ins/:id/confirm', authMiddleware, async (req, res) => {
     try {
-        const { content } = req.body;
-
-        if (!content) {
-            return res.status(400).json({
-                success: false,
-                message: 'Message content is required'
-            });
-        }
+        const existing = db.checkIns.findById(req.params.id);
 
-        const groups = readData(FILES.groups);
-        const group = groups.find(g => g.id === req.params.id);
-
-        if (!group) {
+        if (!existing || existing.userId !== req.user.id) {
             return res.status(404).json({
                 success: false,
-                message: 'Group not found'
+                message: 'Check-in not found'
             });
         }
 
-        if (!group.members.includes(req.user.id)) {
-            return res.status(403).json({
+        const now = new Date();
+        const dueAt = existing.nextDueAt ? new Date(existing.nextDueAt) : null;
+        if (!existing.enabled || !dueAt || dueAt - now > CHECK_IN_EARLY_MINUTES * 60 * 1000) {
+            return res.status(409).json({
                 success: false,
-                message: 'You are not a member of this group'
+                message: 'No check-in is due yet',
+                nextDueAt: dueAt
             });
         }
 
-        const messages = readData(FILES.messages);
-
-        const newMessage = {
-            id: generateId(),
-            groupId: req.params.id,
-            userId: req.user.id,
-            content,
-            messageType: 'text',
-            reactions: {
-                thumbsUp: 0,
-                thumbsDown: 0,
-                heart: 0,
-                laugh: 0
-            },
-            isEdited: false,
-            createdAt: new Date()
-        };
-
-        messages.push(newMessage);
-        writeData(FILES.messages, messages);
-
-        // Update group message count
-        const groupIndex = groups.findIndex(g => g.id === req.params.id);
-        if (groupIndex !== -1) {
-            groups[groupIndex].messageCount += 1;
-            writeData(FILES.groups, groups);
-        }
-
-        // Get user info
-        const users = readData(FILES.users);
-        const user = users.find(u => u.id === req.user.id);
-
-        const messageResponse = {
-            ...newMessage,
-            user: user ? { id: user.id, username: user.username, name: user.profile.name, avatar: user.profile.avatar } : null
-        };
+        const checkIn = await db.checkIns.update(existing.id, c => {
+            c.lastConfirmedAt = now;
+            c.nextDueAt = nextCheckInDue(c, new Date(Math.max(now.getTime(), dueAt.getTime())));
+            c.remindedFor = null;
+            return c;
+        });
 
-        // Emit via Socket.IO
-        io.to(`group-${req.params.id}`).emit('new-message', {
+        res.json({
             success: true,
-            message: messageResponse
+            message: 'Check-in confirmed',
+            checkIn
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
         });
+    }
+});
 
-        res.status(201).json({
+// ============================================
+// ROUTES - VOICES
+// ============================================
+
+// Get Available Voices for a language. No silent fallback: a language
+// without voices returns an empty list.
+app.get('/api/voices', authMiddleware, validateRequest(SCHEMAS.listVoices), async (req, res) => {
+    try {
+        const { language, gender, age } = req.query;
+        const lang = language || userLanguage(req.user);
+
+        const voices = voicesForLanguage(await voiceRegistry.forUser(req.user.id), lang)
+            .filter(v => (!gender || v.gender === gender) && (!age || v.age === age));
+
+        res.json({
             success: true,
-            message: 'Message sent',
-            data: messageResponse
+            voices,
+            defaultLanguage: lang
         });
     } catch (error) {
         res.status(500).json({
@@ -1207,40 +9566,26 @@ app.post('/api/community/groups/:id/messages', authMiddleware, (req, res) => {
     }
 });
 
-// Get Community Stats
-app.get('/api/community/stats', (req, res) => {
+// Get All Languages
+app.get('/api/voices/languages', authMiddleware, async (req, res) => {
     try {
-        const users = readData(FILES.users);
-        const groups = readData(FILES.groups);
-        const messages = readData(FILES.messages);
-
-        const totalUsers = users.length;
-        const totalGroups = groups.length;
-        const totalMessages = messages.length;
-        const onlineUsers = Math.floor(totalUsers * 0.4);
+        const byLanguage = new Map();
+        (await voiceRegistry.forUser(req.user.id)).forEach(voice => {
+            if (!byLanguage.has(voice.language)) byLanguage.set(voice.language, []);
+            byLanguage.get(voice.language).push(voice);
+        });
 
-        const recentMessages = messages
-            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-            .slice(0, 10)
-            .map(m => {
-                const user = users.find(u => u.id === m.userId);
-                const group = groups.find(g => g.id === m.groupId);
-                return {
-                    ...m,
-                    user: user ? { id: user.id, username: user.username } : null,
-                    group: group ? { id: group.id, name: group.name } : null
-                };
-            });
+        const languages = [...byLanguage.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([code, voices]) => ({
+                code,
+                voices,
+                count: voices.length
+            }));
 
         res.json({
             success: true,
-            stats: {
-                totalUsers,
-                totalGroups,
-                totalMessages,
-                onlineUsers,
-                recentMessages
-            }
+            languages
         });
     } catch (error) {
         res.status(500).json({
@@ -1250,49 +9595,61 @@ app.get('/api/community/stats', (req, res) => {
     }
 });
 
-// ============================================
-// ROUTES - EMERGENCY
-// ============================================
-
-// Create Emergency Alert
-app.post('/api/emergency/alert', authMiddleware, (req, res) => {
+// Get Custom Voice Profiles
+app.get('/api/voices/custom', authMiddleware, async (req, res) => {
     try {
-        const { message, location, severity } = req.body;
-
-        const emergency = readData(FILES.emergency);
+        res.json({
+            success: true,
+            voices: db.customVoices.filter({ userId: req.user.id }).map(customVoiceEntry)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
 
-        const newAlert = {
-            id: generateId(),
-            userId: req.user.id,
-            status: 'active',
-            location: location || {},
-            message: message || '',
-            severity: severity || 'high',
-            emergencyContacts: [],
-            responders: [],
-            notes: '',
-            createdAt: new Date(),
-            resolvedAt: null,
-            cancelledAt: null
-        };
+// Create Custom Voice Profile: a named voice built on an engine voice
+// with its own rate and pitch
+app.post('/api/voices/custom', authMiddleware, validateRequest(SCHEMAS.createCustomVoice), async (req, res) => {
+    try {
+        const { name, description, language, gender, age, baseVoiceId, speechRate, pitch } = req.body;
 
-        emergency.push(newAlert);
-        writeData(FILES.emergency, emergency);
+        const base = (await voiceRegistry.providerVoices()).find(v => v.id === baseVoiceId);
+        if (!base) {
+            return res.status(400).json(validationFailed([{ field: 'baseVoiceId', message: 'is not a known voice' }]));
+        }
 
-        // Broadcast via Socket.IO
-        io.emit('emergency-broadcast', {
-            userId: req.user.id,
-            userName: req.user.profile.name || req.user.username,
-            location: location,
-            message,
-            timestamp: new Date(),
-            emergencyId: newAlert.id
+        const profile = await db.customVoices.transaction(voices => {
+            if (voices.count({ userId: req.user.id }) >= CUSTOM_VOICE_LIMIT) return null;
+            return voices.insert({
+                id: generateId(),
+                userId: req.user.id,
+                name,
+                description: description || '',
+                language: language || base.language,
+                gender: gender || base.gender,
+                age: age || base.age,
+                baseVoiceId,
+                speechRate: speechRate !== undefined ? speechRate : 1,
+                pitch: pitch !== undefined ? pitch : 1,
+                createdAt: new Date(),
+                updatedAt: new Date()
+            });
         });
 
+        if (!profile) {
+            return res.status(409).json({
+                success: false,
+                message: `You can keep up to ${CUSTOM_VOICE_LIMIT} custom voices`
+            });
+        }
+
         res.status(201).json({
             success: true,
-            message: 'Emergency alert activated',
-            emergency: newAlert
+            message: 'Custom voice created',
+            voice: customVoiceEntry(profile)
         });
     } catch (error) {
         res.status(500).json({
@@ -1302,24 +9659,35 @@ app.post('/api/emergency/alert', authMiddleware, (req, res) => {
     }
 });
 
-// Get Emergency Alerts
-app.get('/api/emergency/alerts', authMiddleware, (req, res) => {
+// Update Custom Voice Profile
+app.put('/api/voices/custom/:id', authMiddleware, validateRequest(SCHEMAS.updateCustomVoice), async (req, res) => {
     try {
-        const { status } = req.query;
-        let alerts = readData(FILES.emergency);
+        const existing = db.customVoices.findById(req.params.id);
 
-        alerts = alerts.filter(a => a.userId === req.user.id);
+        if (!existing || existing.userId !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Voice not found'
+            });
+        }
 
-        if (status) {
-            alerts = alerts.filter(a => a.status === status);
+        const { baseVoiceId } = req.body;
+        if (baseVoiceId && !(await voiceRegistry.providerVoices()).some(v => v.id === baseVoiceId)) {
+            return res.status(400).json(validationFailed([{ field: 'baseVoiceId', message: 'is not a known voice' }]));
         }
 
-        alerts.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-        alerts = alerts.slice(0, 50);
+        const profile = await db.customVoices.update(req.params.id, v => {
+            ['name', 'description', 'language', 'gender', 'age', 'baseVoiceId', 'speechRate', 'pitch'].forEach(field => {
+                if (req.body[field] !== undefined) v[field] = req.body[field];
+            });
+            v.updatedAt = new Date();
+            return v;
+        });
 
         res.json({
             success: true,
-            alerts
+            message: 'Custom voice updated',
+            voice: customVoiceEntry(profile)
         });
     } catch (error) {
         res.status(500).json({
@@ -1329,29 +9697,31 @@ app.get('/api/emergency/alerts', authMiddleware, (req, res) => {
     }
 });
 
-// Get Single Emergency Alert
-app.get('/api/emergency/alerts/:id', authMiddleware, (req, res) => {
+// Delete Custom Voice Profile
+app.delete('/api/voices/custom/:id', authMiddleware, async (req, res) => {
     try {
-        const alerts = readData(FILES.emergency);
-        const alert = alerts.find(a => a.id === req.params.id);
+        const existing = db.customVoices.findById(req.params.id);
 
-        if (!alert || alert.userId !== req.user.id) {
+        if (!existing || existing.userId !== req.user.id) {
             return res.status(404).json({
                 success: false,
-                message: 'Alert not found'
+                message: 'Voice not found'
             });
         }
 
-        // Get user info
-        const users = readData(FILES.users);
-        const user = users.find(u => u.id === alert.userId);
+        await db.customVoices.remove(req.params.id);
+
+        // Do not leave the user pointing at a voice that is gone
+        await db.users.update(req.user.id, u => {
+            if (u.voicePreferences.preferredVoice === `custom:${existing.id}`) {
+                u.voicePreferences.preferredVoice = '';
+            }
+            return u;
+        });
 
         res.json({
             success: true,
-            alert: {
-                ...alert,
-                user: user ? { id: user.id, username: user.username, name: user.profile.name } : null
-            }
+            message: 'Custom voice deleted'
         });
     } catch (error) {
         res.status(500).json({
@@ -1361,27 +9731,21 @@ app.get('/api/emergency/alerts/:id', authMiddleware, (req, res) => {
     }
 });
 
-// Resolve Emergency Alert
-app.post('/api/emergency/alerts/:id/resolve', authMiddleware, (req, res) => {
+// Get Single Voice
+app.get('/api/voices/:id', authMiddleware, async (req, res) => {
     try {
-        const alerts = readData(FILES.emergency);
-        const alertIndex = alerts.findIndex(a => a.id === req.params.id);
+        const voice = await voiceRegistry.find(req.params.id, req.user.id);
 
-        if (alertIndex === -1) {
+        if (!voice) {
             return res.status(404).json({
                 success: false,
-                message: 'Alert not found'
+                message: 'Voice not found'
             });
         }
 
-        alerts[alertIndex].status = 'resolved';
-        alerts[alertIndex].resolvedAt = new Date();
-        writeData(FILES.emergency, alerts);
-
         res.json({
             success: true,
-            message: 'Emergency alert resolved',
-            alert: alerts[alertIndex]
+            voice
         });
     } catch (error) {
         res.status(500).json({
@@ -1391,30 +9755,36 @@ app.post('/api/emergency/alerts/:id/resolve', authMiddleware, (req, res) => {
     }
 });
 
-// Cancel Emergency Alert
-app.post('/api/emergency/alerts/:id/cancel', authMiddleware, (req, res) => {
+// Voice Sample: a short greeting in the voice's language. The text is
+// ours, so the audio is cached like saved phrases.
+app.get('/api/voices/:id/sample', authMiddleware, rateLimit('tts'), async (req, res) => {
     try {
-        const alerts = readData(FILES.emergency);
-        const alertIndex = alerts.findIndex(a => a.id === req.params.id);
+        const listed = await voiceRegistry.find(req.params.id, req.user.id);
 
-        if (alertIndex === -1 || alerts[alertIndex].userId !== req.user.id) {
+        if (!listed) {
             return res.status(404).json({
                 success: false,
-                message: 'Alert not found'
+                message: 'Voice not found'
             });
         }
 
-        alerts[alertIndex].status = 'cancelled';
-        alerts[alertIndex].cancelledAt = new Date();
-        writeData(FILES.emergency, alerts);
+        const { voice, defaults } = await resolveTtsVoice(req.user, listed.id, listed.language);
+        const { audio, contentType, key } = await synthesizeSpeech({
+            text: voiceSampleText(listed.language),
+            voice,
+            rate: defaults.rate !== undefined ? defaults.rate : 1,
+            pitch: defaults.pitch !== undefined ? defaults.pitch : 1,
+            cache: true
+        });
 
-        res.json({
-            success: true,
-            message: 'Emergency alert cancelled',
-            alert: alerts[alertIndex]
+        res.set({
+            'Content-Type': contentType,
+            'ETag': `"${key}"`,
+            'Cache-Control': 'private, max-age=86400'
         });
+        res.send(audio);
     } catch (error) {
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             message: error.message
         });
@@ -1422,45 +9792,101 @@ app.post('/api/emergency/alerts/:id/cancel', authMiddleware, (req, res) => {
 });
 
 // ============================================
-// ROUTES - VOICES
+// ROUTES - TEXT-TO-SPEECH
 // ============================================
 
-// Get Available Voices
-app.get('/api/voices', authMiddleware, (req, res) => {
+// Synthesize Speech. Send `phraseId` for a saved phrase (cached) or
+// `text` for anything else. Rate, pitch and voice default to the
+// user's voicePreferences.
+app.post('/api/tts', authMiddleware, rateLimit('tts'), validateRequest(SCHEMAS.tts), async (req, res) => {
     try {
-        const { language } = req.query;
-        const lang = language || req.user.profile.preferredLanguage || 'en-US';
+        const { phraseId, voiceId, speechRate, pitch } = req.body;
+        const preferences = req.user.voicePreferences || {};
+        let { text, language } = req.body;
+
+        if (phraseId) {
+            const phrase = db.phrases.findById(phraseId);
+            if (!phrase || phrase.userId !== req.user.id) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Phrase not found'
+                });
+            }
+            text = phrase.text;
+            language = language || phrase.language;
+        }
 
-        const voices = voicesDatabase[lang] || voicesDatabase['en-US'];
+        if (!text || text.trim().length === 0) {
+            return res.status(400).json(validationFailed([{ field: 'text', message: 'is required when phraseId is not given' }]));
+        }
 
-        res.json({
-            success: true,
-            voices,
-            defaultLanguage: lang
+        const { voice, defaults } = await resolveTtsVoice(req.user, voiceId || preferences.preferredVoice, language || userLanguage(req.user));
+        const { audio, contentType, key, cached } = await synthesizeSpeech({
+            text: text.trim(),
+            voice,
+            rate: [speechRate, defaults.rate, preferences.speechRate, 1].find(value => value !== undefined),
+            pitch: [pitch, defaults.pitch, preferences.pitch, 1].find(value => value !== undefined),
+            cache: Boolean(phraseId)
+        });
+
+        res.set({
+            'Content-Type': contentType,
+            'ETag': `"${key}"`,
+            'Cache-Control': phraseId ? 'private, max-age=86400' : 'no-store',
+            'X-TTS-Voice': voice.id,
+            'X-TTS-Cache': phraseId ? (cached ? 'hit' : 'miss') : 'bypass'
         });
+        res.send(audio);
     } catch (error) {
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             message: error.message
         });
     }
 });
 
-// Get All Languages
-app.get('/api/voices/languages', authMiddleware, (req, res) => {
+// ============================================
+// ROUTES - SPEECH-TO-TEXT
+// ============================================
+
+const sttBody = express.raw({ type: ['audio/*', 'application/octet-stream'], limit: STT_MAX_UPLOAD });
+
+// Transcribe Speech. The request body is the audio file (WAV, FLAC,
+// MP3 or Ogg); the transcript becomes the message replies are suggested
+// for, here and in POST /api/predictions/suggest for a few minutes.
+app.post('/api/stt', authMiddleware, rateLimit('stt'), sttBody, validateRequest(SCHEMAS.stt), async (req, res) => {
     try {
-        const languages = Object.keys(voicesDatabase).map(lang => ({
-            code: lang,
-            voices: voicesDatabase[lang],
-            count: voicesDatabase[lang].length
-        }));
+        const audio = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+        if (audio.length === 0) {
+            return res.status(400).json(validationFailed([{ field: 'body', message: 'must be an audio file' }]));
+        }
+
+        const format = detectAudioFormat(audio);
+        if (!format || !sttProvider.formats.includes(format)) {
+            return res.status(415).json({
+                success: false,
+                message: `Unsupported audio format (expected one of: ${sttProvider.formats.join(', ')})`
+            });
+        }
+
+        const { limit, ...context } = req.query;
+        const language = req.query.language || userLanguage(req.user);
+        const { text, ranked } = await hearSpeech(req.user, {
+            audio,
+            format,
+            language,
+            context,
+            limit: limit === undefined ? 5 : limit
+        });
 
         res.json({
             success: true,
-            languages
+            transcript: { text, language },
+            suggestions: ranked.map(s => s.text),
+            ranked
         });
     } catch (error) {
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             message: error.message
         });
@@ -1472,18 +9898,9 @@ app.get('/api/voices/languages', authMiddleware, (req, res) => {
 // ============================================
 
 // Send Direct Message
-app.post('/api/messages/send', authMiddleware, (req, res) => {
+app.post('/api/messages/send', authMiddleware, rateLimit('directMessage'), validateRequest(SCHEMAS.directMessage), async (req, res) => {
     try {
-        const { recipientId, content } = req.body;
-
-        if (!recipientId || !content) {
-            return res.status(400).json({
-                success: false,
-                message: 'Recipient and message content are required'
-            });
-        }
-
-        const directMessages = readData(FILES.directMessages);
+        const { recipientId, content, phraseId } = req.body;
 
         const newMessage = {
             id: generateId(),
@@ -1494,8 +9911,9 @@ app.post('/api/messages/send', authMiddleware, (req, res) => {
             createdAt: new Date()
         };
 
-        directMessages.push(newMessage);
-        writeData(FILES.directMessages, directMessages);
+        await db.directMessages.insert(newMessage);
+        predictionEngine.learn(req.user.id, content, userLanguage(req.user));
+        await recordSentPhrase(req.user.id, phraseId, 'direct', { partnerId: recipientId });
 
         // Emit via Socket.IO
         const recipientSocket = connectedUsers.get(recipientId);
@@ -1522,11 +9940,9 @@ app.post('/api/messages/send', authMiddleware, (req, res) => {
 });
 
 // Get Conversation
-app.get('/api/messages/conversation/:userId', authMiddleware, (req, res) => {
+app.get('/api/messages/conversation/:userId', authMiddleware, async (req, res) => {
     try {
-        let messages = readData(FILES.directMessages);
-
-        messages = messages.filter(m =>
+        let messages = db.directMessages.filter(m =>
             (m.sender === req.user.id && m.recipient === req.params.userId) ||
             (m.sender === req.params.userId && m.recipient === req.user.id)
         );
@@ -1547,24 +9963,20 @@ app.get('/api/messages/conversation/:userId', authMiddleware, (req, res) => {
 });
 
 // Mark Message as Read
-app.post('/api/messages/:id/read', authMiddleware, (req, res) => {
+app.post('/api/messages/:id/read', authMiddleware, async (req, res) => {
     try {
-        const directMessages = readData(FILES.directMessages);
-        const messageIndex = directMessages.findIndex(m => m.id === req.params.id);
+        const message = await db.directMessages.update(req.params.id, { isRead: true });
 
-        if (messageIndex === -1) {
+        if (!message) {
             return res.status(404).json({
                 success: false,
                 message: 'Message not found'
             });
         }
 
-        directMessages[messageIndex].isRead = true;
-        writeData(FILES.directMessages, directMessages);
-
         res.json({
             success: true,
-            message: directMessages[messageIndex]
+            message
         });
     } catch (error) {
         res.status(500).json({
@@ -1580,38 +9992,116 @@ app.post('/api/messages/:id/read', authMiddleware, (req, res) => {
 
 const connectedUsers = new Map();
 
+// Handshake authentication: clients pass the access token as
+// `io(url, { auth: { token } })` or in an Authorization header.
+io.use((socket, next) => {
+    try {
+        const token = socket.handshake.auth?.token ||
+            socket.handshake.headers.authorization?.split(' ')[1];
+        const { user, session, error } = authenticateAccessToken(token);
+
+        if (error) {
+            return next(new Error(error));
+        }
+
+        socket.userId = user.id;
+        socket.sessionId = session.id;
+        next();
+    } catch (error) {
+        next(new Error('Invalid token'));
+    }
+});
+
 io.on('connection', (socket) => {
     console.log(`✓ User connected via Socket.IO: ${socket.id}`);
 
-    // User joins
-    socket.on('user-join', (userId) => {
-        connectedUsers.set(userId, socket.id);
-        socket.userId = userId;
-        
+    // Drop events once the session behind this socket is revoked
+    socket.use((packet, next) => {
+        if (!isSessionActive(db.sessions.findById(socket.sessionId))) {
+            socket.emit('error', { message: 'Session has been revoked or expired' });
+            socket.disconnect(true);
+            return;
+        }
+        next();
+    });
+
+    // Per-user limits on chat events
+    socket.use(async ([event], next) => {
+        const config = SOCKET_RATE_LIMITS[event];
+        if (!config) return next();
+
+        try {
+            const limited = await consumeRateLimit([`socket:${event}:user:${socket.userId}`], config);
+            if (limited) {
+                socket.emit('error', {
+                    message: 'Too many requests, please try again later',
+                    event,
+                    retryAfter: Math.ceil((limited.resetAt - Date.now()) / 1000)
+                });
+                return;
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    connectedUsers.set(socket.userId, socket.id);
+    // Every device of a user, for events addressed to them
+    socket.join(`user-${socket.userId}`);
+
+    const announceOnline = () => {
         io.emit('user-status', {
-            userId,
+            userId: socket.userId,
             status: 'online',
             totalOnline: connectedUsers.size
         });
+    };
+
+    announceOnline();
 
-        console.log(`✓ User ${userId} joined (Total: ${connectedUsers.size})`);
+    // User joins - kept for older clients; the user is taken from the
+    // handshake, never from the payload
+    socket.on('user-join', () => {
+        connectedUsers.set(socket.userId, socket.id);
+        announceOnline();
+
+        console.log(`✓ User ${socket.userId} joined (Total: ${connectedUsers.size})`);
     });
 
     // Join community group
-    socket.on('join-group', (groupId) => {
+    socket.on('join-group', validatedHandler(socket, SOCKET_SCHEMAS.groupId, (groupId) => {
+        const group = db.groups.findById(groupId);
+
+        if (!group || !group.members.includes(socket.userId)) {
+            socket.emit('error', { message: 'You are not a member of this group' });
+            return;
+        }
         socket.join(`group-${groupId}`);
-    });
+    }));
 
     // Leave community group
-    socket.on('leave-group', (groupId) => {
+    socket.on('leave-group', validatedHandler(socket, SOCKET_SCHEMAS.groupId, (groupId) => {
         socket.leave(`group-${groupId}`);
-    });
+    }));
 
     // Send group message
-    socket.on('send-group-message', (data) => {
+    socket.on('send-group-message', validatedHandler(socket, SOCKET_SCHEMAS.groupMessage, async (data) => {
         try {
-            const { groupId, content } = data;
-            const messages = readData(FILES.messages);
+            const { groupId, content, phraseId } = data;
+            const group = db.groups.findById(groupId);
+            const user = db.users.findById(socket.userId);
+
+            if (!user || !user.emailVerified) {
+                socket.emit('error', { message: 'Please verify your email address to use community features' });
+                return;
+            }
+
+            const postingError = groupPostingError(group, socket.userId);
+            if (postingError) {
+                socket.emit('error', { message: postingError.message, event: 'send-group-message' });
+                return;
+            }
 
             const newMessage = {
                 id: generateId(),
@@ -1624,8 +10114,14 @@ io.on('connection', (socket) => {
                 createdAt: new Date()
             };
 
-            messages.push(newMessage);
-            writeData(FILES.messages, messages);
+            await db.messages.insert(newMessage);
+            predictionEngine.learn(socket.userId, content, group.language);
+
+            await db.groups.update(groupId, g => {
+                g.messageCount += 1;
+                return g;
+            });
+            await recordSentPhrase(socket.userId, phraseId, 'group', { groupId });
 
             io.to(`group-${groupId}`).emit('new-message', {
                 success: true,
@@ -1634,54 +10130,221 @@ io.on('connection', (socket) => {
         } catch (error) {
             socket.emit('error', { message: error.message });
         }
-    });
+    }));
+
+    // Delete group message - as its author, or as a moderator like
+    // DELETE /api/community/groups/:id/messages/:messageId
+    socket.on('delete-group-message', validatedHandler(socket, SOCKET_SCHEMAS.deleteGroupMessage, async (data, ack) => {
+        try {
+            const result = await deleteGroupMessage(data.groupId, data.messageId, socket.userId);
+
+            if (result.status) {
+                socket.emit('error', { message: result.message, event: 'delete-group-message' });
+                return;
+            }
+            if (typeof ack === 'function') {
+                ack({ success: true, messageId: data.messageId });
+            }
+        } catch (error) {
+            socket.emit('error', { message: error.message, event: 'delete-group-message' });
+        }
+    }));
 
     // Typing indicator
-    socket.on('user-typing', (data) => {
-        const { groupId, username } = data;
+    socket.on('user-typing', validatedHandler(socket, SOCKET_SCHEMAS.typing, (data) => {
+        const { groupId } = data;
+        if (groupPostingError(db.groups.findById(groupId), socket.userId)) return;
+
+        const user = db.users.findById(socket.userId);
         io.to(`group-${groupId}`).emit('user-typing', {
-            username,
+            userId: socket.userId,
+            username: user ? user.username : '',
             isTyping: true
         });
-    });
+    }));
+
+    socket.on('user-stop-typing', validatedHandler(socket, SOCKET_SCHEMAS.typing, (data) => {
+        const { groupId } = data;
+        if (!db.groups.findById(groupId)?.members.includes(socket.userId)) return;
 
-    socket.on('user-stop-typing', (data) => {
-        const { groupId, username } = data;
+        const user = db.users.findById(socket.userId);
         io.to(`group-${groupId}`).emit('user-typing', {
-            username,
+            userId: socket.userId,
+            username: user ? user.username : '',
             isTyping: false
         });
-    });
+    }));
 
-    // Emergency alert broadcast
-    socket.on('emergency-alert', (data) => {
-        io.emit('emergency-broadcast', {
-            userId: socket.userId,
-            location: data.location,
-            message: data.message,
-            timestamp: new Date()
-        });
-    });
+    // Emergency alert - stored and sent like POST /api/emergency/alert
+    socket.on('emergency-alert', validatedHandler(socket, SOCKET_SCHEMAS.emergencyAlert, async (data, ack) => {
+        try {
+            const user = db.users.findById(socket.userId);
+            const alert = await createEmergencyAlert(user, data);
+
+            if (typeof ack === 'function') {
+                ack({ success: true, emergency: alert });
+            }
+        } catch (error) {
+            socket.emit('error', { message: error.message, event: 'emergency-alert' });
+        }
+    }));
 
     // Direct message
-    socket.on('direct-message', (data) => {
-        const { recipientId, content } = data;
-        const recipientSocket = connectedUsers.get(recipientId);
+    socket.on('direct-message', validatedHandler(socket, SOCKET_SCHEMAS.directMessage, async (data) => {
+        try {
+            const { recipientId, content, phraseId } = data;
 
-        if (recipientSocket) {
-            io.to(recipientSocket).emit('new-direct-message', {
-                senderId: socket.userId,
+            // Stored like POST /api/messages/send; the model only learns
+            // messages that made it into the history it is rebuilt from
+            await db.directMessages.insert({
+                id: generateId(),
+                sender: socket.userId,
+                recipient: recipientId,
                 content,
-                timestamp: new Date()
+                isRead: false,
+                createdAt: new Date()
+            });
+            predictionEngine.learn(socket.userId, content, userLanguage(db.users.findById(socket.userId)));
+
+            const recipientSocket = connectedUsers.get(recipientId);
+            if (recipientSocket) {
+                io.to(recipientSocket).emit('new-direct-message', {
+                    senderId: socket.userId,
+                    content,
+                    timestamp: new Date()
+                });
+            }
+            await recordSentPhrase(socket.userId, phraseId, 'direct', { partnerId: recipientId });
+        } catch (error) {
+            socket.emit('error', { message: error.message, event: 'direct-message' });
+        }
+    }));
+
+    // Live location for an active alert - same as POST /api/emergency/alerts/:id/location
+    socket.on('emergency-location', validatedHandler(socket, SOCKET_SCHEMAS.emergencyLocation, async (data, ack) => {
+        try {
+            const { alertId, ...fix } = data;
+            const result = await recordAlertLocation(alertId, socket.userId, fix);
+
+            if (result.status) {
+                socket.emit('error', { message: result.message, event: 'emergency-location' });
+                if (typeof ack === 'function') ack({ success: false, message: result.message });
+                return;
+            }
+            if (typeof ack === 'function') ack({ success: true, point: result.point });
+        } catch (error) {
+            socket.emit('error', { message: error.message, event: 'emergency-location' });
+        }
+    }));
+
+    // Device location - same as POST /api/safety/location
+    socket.on('location-update', validatedHandler(socket, SOCKET_SCHEMAS.deviceLocation, async (data, ack) => {
+        try {
+            const user = db.users.findById(socket.userId);
+            const { zones, alerts } = await reportDeviceLocation(user, data);
+            if (typeof ack === 'function') ack({ success: true, zones, alerts });
+        } catch (error) {
+            socket.emit('error', { message: error.message, event: 'location-update' });
+        }
+    }));
+
+    /**
+     * Streaming speech-to-text: 'stt-start' with the language, sample
+     * rate (default 16000) and suggestion context, then - once that is
+     * acknowledged - 'stt-audio' with binary chunks of 16-bit
+     * little-endian mono PCM, then 'stt-stop'.
+     * The server answers with 'stt-partial' while audio arrives and one
+     * 'stt-final' carrying the transcript and suggested replies.
+     */
+    const transcribePartial = (stream) => {
+        if (isTranscribing(socket.userId)) return;
+
+        transcribeForUser(socket.userId, { audio: stream.partialWav(), format: 'wav', language: stream.language })
+            .then(text => {
+                if (socket.sttStream === stream && text) {
+                    socket.emit('stt-partial', { text, language: stream.language });
+                }
+            })
+            .catch(error => {
+                socket.emit('error', { message: error.message, event: 'stt-audio' });
+            });
+    };
+
+    socket.on('stt-start', validatedHandler(socket, SOCKET_SCHEMAS.sttStart, (data, ack) => {
+        const { language, sampleRate, limit, ...context } = data;
+        socket.sttStream = new SttStream({
+            language: language || userLanguage(db.users.findById(socket.userId)),
+            sampleRate: sampleRate || 16000,
+            context: { ...context, limit: limit === undefined ? 5 : limit }
+        });
+
+        if (typeof ack === 'function') {
+            ack({ success: true, language: socket.sttStream.language, sampleRate: socket.sttStream.sampleRate });
+        }
+    }));
+
+    socket.on('stt-audio', (chunk) => {
+        const stream = socket.sttStream;
+        if (!stream) {
+            socket.emit('error', { message: 'No transcription in progress; send stt-start first', event: 'stt-audio' });
+            return;
+        }
+        if (!Buffer.isBuffer(chunk) || chunk.length % 2 !== 0) {
+            socket.emit('error', { message: 'Audio chunks must be binary 16-bit PCM', event: 'stt-audio' });
+            return;
+        }
+        if (!stream.append(chunk)) {
+            socket.sttStream = null;
+            socket.emit('error', { message: `Streams are limited to ${STT_STREAM_MAX_SECONDS} seconds of audio`, event: 'stt-audio' });
+            return;
+        }
+        if (stream.wantsPartial()) transcribePartial(stream);
+    });
+
+    socket.on('stt-stop', async () => {
+        const stream = socket.sttStream;
+        if (!stream) {
+            socket.emit('error', { message: 'No transcription in progress', event: 'stt-stop' });
+            return;
+        }
+        socket.sttStream = null;
+        if (stream.bytes === 0) {
+            socket.emit('error', { message: 'No audio was received', event: 'stt-stop' });
+            return;
+        }
+
+        try {
+            const user = db.users.findById(socket.userId);
+            const { limit, ...context } = stream.context;
+            const { text, ranked } = await hearSpeech(user, {
+                audio: stream.wav(),
+                format: 'wav',
+                language: stream.language,
+                context,
+                limit
             });
+
+            socket.emit('stt-final', {
+                text,
+                language: stream.language,
+                suggestions: ranked.map(s => s.text),
+                ranked
+            });
+        } catch (error) {
+            socket.emit('error', { message: error.message, event: 'stt-stop' });
         }
     });
 
+    socket.on('stt-cancel', () => {
+        socket.sttStream = null;
+    });
+
     // User disconnects
     socket.on('disconnect', () => {
         console.log(`✗ User disconnected: ${socket.id}`);
         
-        if (socket.userId) {
+        // Another device may have taken over the slot since this one connected
+        if (connectedUsers.get(socket.userId) === socket.id) {
             connectedUsers.delete(socket.userId);
             io.emit('user-status', {
                 userId: socket.userId,
@@ -1734,6 +10397,28 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.PORT || 5000;
 
+// CLI: `node complete-backend.js migrate [status]`
+if (process.argv[2] === 'migrate') {
+    try {
+        if (process.argv[3] === 'status') {
+            const { from, pending } = runMigrations({ dryRun: true });
+            console.log(`Data schema: v${from} (latest v${LATEST_SCHEMA_VERSION})`);
+            pending.forEach(m => console.log(`  pending v${m.version}: ${m.description}`));
+        } else {
+            const { from, pending } = runMigrations();
+            console.log(pending.length
+                ? `✓ Data schema upgraded v${from} -> v${LATEST_SCHEMA_VERSION}`
+                : `✓ Data schema already at v${LATEST_SCHEMA_VERSION}`);
+        }
+        process.exit(0);
+    } catch (error) {
+        console.error('✗ Migration failed:', error.message);
+        process.exit(1);
+    }
+}
+
+runMigrations();
+
 server.listen(PORT, () => {
     console.log(`
 ╔══════════════════════════════════════════════════╗
@@ -1741,7 +10426,7 @@ server.listen(PORT, () => {
 ╚══════════════════════════════════════════════════╝
 
 📡 Server: http://localhost:${PORT}
-💾 Storage: JSON Files (No Database)
+💾 Storage: ${STORAGE_DRIVER === 'sqlite' ? `SQLite (${SQLITE_PATH})` : 'JSON Files (No Database)'}
 🌍 CORS: ${process.env.CLIENT_URL || 'http://localhost:3000'}
 🔧 Environment: ${process.env.NODE_ENV || 'development'}
 🔑 JWT: Configured